@@ -2,23 +2,158 @@
 
 // --- Configuration & Globals ---
 const GMAIL_API_BASE_URL = 'https://www.googleapis.com/gmail/v1/users/me';
+const GMAIL_BATCH_URL = 'https://www.googleapis.com/batch/gmail/v1';
+const GMAIL_BATCH_PATH_PREFIX = '/gmail/v1/users/me'; // Request paths inside a multipart batch
+const DEFAULT_QUOTA_UNITS_PER_SECOND = 200; // Gmail allows 250 quota units per user per second
+const MAX_API_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000; // Doubled on every retry unless the server sends Retry-After
+const LABEL_CACHE_TTL_MS = 5 * 60 * 1000;
+const BATCH_GET_SIZE = 50; // Gmail recommends at most 50 requests per multipart batch
+const BATCH_MODIFY_MAX_IDS = 1000; // Limit of messages.batchModify
 const PROCESSING_ALARM_NAME = 'emailProcessingAlarm';
 const DEFAULT_PROCESSING_INTERVAL_MINUTES = 5;
 const SPAM_LABEL_NAME = 'ExtensionSpam'; // Custom spam label
-const MIN_EMAILS_FOR_PATTERN = 3; // Min emails from a domain with same manual label to trigger suggestion
+const SUSPICIOUS_LABEL_NAME = 'ExtensionSuspicious'; // Mail scoring between the suspicious and spam thresholds
+const PHISHING_LABEL_NAME = 'Phishing';
+const MIN_EMAILS_FOR_PATTERN = 3; // Min emails in a pattern cluster to trigger suggestion
+const MIN_SUGGESTION_CONFIDENCE = 0.5;
+const PATTERN_CONFIDENCE_PRIOR = 2; // Cluster size at which confidence reaches half of the kind's weight
+const PATTERN_KIND_WEIGHTS = { listId: 1, sender: 0.9, subject: 0.8, label: 1, manualLabel: 1 };
+const MAX_PATTERN_CLUSTERS = 2000; // Least recently seen clusters are dropped beyond this
+const MAX_PATTERN_CLUSTER_MESSAGE_IDS = 50;
+const MAX_PATTERN_SAMPLES = 3;
+const MIN_SUBJECT_TEMPLATE_WORDS = 3;
+const MAX_SUGGESTED_NAME_LENGTH = 40;
+const SUBJECT_TEMPLATE_PLACEHOLDER = '{n}';
+const SUGGESTION_EXPIRY_DAYS = 30; // Pending suggestions nobody acted on expire after this
+const DEFAULT_SUGGESTION_SNOOZE_DAYS = 7;
+const MAX_DECIDED_SUGGESTIONS = 300; // Oldest approved/rejected/expired suggestions are dropped beyond this
+const SUBJECT_REPLY_PREFIX_REGEX = /^(?:(?:re|fwd?|aw|wg)\s*:\s*)*/i;
+const MAX_MESSAGES_PER_CYCLE = 200; // Remaining queued messages carry over to the next cycle
+const MAX_TRACKED_PROCESSED_IDS = 5000; // Most recent processed message ids kept to avoid reprocessing
+const MAX_MESSAGE_PROCESSING_ATTEMPTS = 3; // A message that failed this often (e.g. deleted meanwhile) is given up on
+const FULL_RESYNC_QUERY = 'newer_than:2d -in:sent -in:drafts'; // Used when there is no usable historyId
+const FULL_RESYNC_MAX_MESSAGES = 500;
+const BACKFILL_ALARM_NAME = 'backfillKeepAliveAlarm'; // Wakes the service worker to resume backfill jobs
+const BACKFILL_PAGE_SIZE = BATCH_GET_SIZE;
+const MAX_TRACKED_BACKFILL_JOBS = 10; // Finished jobs kept for the options page
+const MAX_ACTIVITY_LOG_ENTRIES = 500; // Oldest entries are dropped beyond this
+const DEFAULT_PREVIEW_MESSAGE_COUNT = 50;
+const MAX_PREVIEW_MESSAGE_COUNT = 200;
+const GMAIL_QUERY_CANDIDATES_PER_REQUEST = 25; // Message-IDs per membership search, keeps the query short
+const MAX_TEST_QUERY_RESULTS = 500;
+const RETENTION_ACTIONS = { archive: 'Archive', trash: 'Trash', markRead: 'Mark read' };
+const RETENTION_RUN_INTERVAL_MS = 60 * 60 * 1000; // Policies work in days, so the processing alarm runs them hourly
+const MAX_RETENTION_MESSAGES_PER_RUN = 1000; // Per policy; the rest is handled by the next run
+const MAX_RETENTION_PREVIEW_COUNT = 5000;
+const DEFAULT_SPAM_SIGNALS = {
+  authFailure: true, // SPF/DKIM/DMARC failures reported in Authentication-Results / Received-SPF
+  displayNameSpoofing: true, // "PayPal" <someone@not-paypal.example>
+  replyToMismatch: true // Reply-To domain differs from the From domain
+};
+const DEFAULT_PROTECTED_BRANDS = [
+  { name: 'PayPal', domains: ['paypal.com'] },
+  { name: 'Apple', domains: ['apple.com', 'icloud.com'] },
+  { name: 'Microsoft', domains: ['microsoft.com', 'outlook.com', 'office.com', 'live.com'] },
+  { name: 'Amazon', domains: ['amazon.com', 'amazon.co.uk', 'amazon.de'] },
+  { name: 'Netflix', domains: ['netflix.com'] },
+  { name: 'DocuSign', domains: ['docusign.com', 'docusign.net'] }
+];
+// Score added by each spam signal when it fires; 0 disables a signal
+const DEFAULT_SPAM_WEIGHTS = {
+  keyword: 2, // Per distinct keyword found
+  senderDomain: 3,
+  punctuation: 1,
+  suspiciousTld: 2,
+  capsRatio: 1,
+  linkCount: 1,
+  authFailure: 3,
+  displayNameSpoofing: 3, // Below the spam threshold: alone it only makes mail suspicious
+  replyToMismatch: 2,
+  bayes: 4 // Scaled by how far the learned spam probability is above 50%
+};
+const DEFAULT_SPAM_THRESHOLDS = { suspicious: 3, spam: 5 };
+const CAPS_RATIO_THRESHOLD = 0.7; // Share of capital letters in the subject
+const CAPS_RATIO_MIN_LETTERS = 10; // Short subjects like "FYI" are ignored
+const LINK_COUNT_THRESHOLD = 20;
+const PHISHING_FINDING_WEIGHTS = {
+  knownBadDomain: 5,
+  lookalikeDomain: 4,
+  brandLinkMismatch: 4, // Link text shows a protected brand's domain but points elsewhere
+  punycodeDomain: 3,
+  ipAddressUrl: 3,
+  mismatchedLink: 2,
+  urlShortener: 1
+};
+const PHISHING_THRESHOLD = 4; // Each kind of finding counts once towards this
+const MAX_ANALYZED_LINKS = 200;
+const DEFAULT_URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly', 'shorturl.at', 'rb.gy', 'tiny.cc', 't.ly', 's.id'];
+const MIN_SPAM_MODEL_MESSAGES = 10; // Per class, before the classifier's opinion counts
+const SPAM_MODEL_DECISIVE_TOKENS = 15; // Tokens furthest from neutral that decide a message
+const MAX_TOKENS_PER_MESSAGE = 300;
+const MAX_TOKENIZED_BODY_CHARS = 10000;
+const MAX_SPAM_MODEL_TOKENS = 50000; // Tokens seen only once are pruned beyond this
+const MAX_TRACKED_TRAINED_IDS = 5000;
+const DEFAULT_TRAINING_MESSAGE_COUNT = 100;
+const MAX_TRAINING_MESSAGE_COUNT = 1000;
+const MAX_TRACKED_OWN_LABEL_CHANGES = 5000;
+const MAX_TRACKED_FALSE_POSITIVES = 200;
+const MAX_TRACKED_NEWSLETTERS = 500; // Senders not seen for the longest time are dropped beyond this
+const MAX_NEWSLETTER_MESSAGE_IDS = 10; // Most recent messages per sender, used for the read rate
+const MAX_READ_STATS_NEWSLETTERS = 100; // Read rates are refreshed for the highest volume senders
+const SETTINGS_SCHEMA_VERSION = 3;
+const SYNC_ITEM_BYTE_LIMIT = 8192 - 192; // chrome.storage.sync QUOTA_BYTES_PER_ITEM, with some headroom
+const SYNC_TOTAL_BYTE_LIMIT = 102400 - 4096; // chrome.storage.sync QUOTA_BYTES, leaving room for other keys
+const SETTINGS_EXPORT_FORMAT = 'inbox-detox-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+const REPLIED_CONTACTS_QUERY = 'in:sent newer_than:1y';
+const MAX_REPLIED_CONTACTS_MESSAGES = 500;
+const REPLIED_CONTACTS_REFRESH_MS = 24 * 60 * 60 * 1000;
+const OWN_LABEL_CHANGE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Gmail keeps history for about a week
+// Two-label public suffixes, so "shop.example.co.uk" and "example.co.uk" compare as the same site
+const MULTI_LABEL_PUBLIC_SUFFIXES = ['co.uk', 'org.uk', 'ac.uk', 'com.au', 'net.au', 'co.nz', 'co.jp', 'com.br', 'co.in', 'co.za', 'com.mx'];
 
 let userSettings = {
-  rules: [], // { type: 'sender/subject/keyword', value: 'string', labelId: 'labelId', labelName: 'Friendly Label Name'}
+  rules: [], // { id, priority, stopProcessing, condition: <condition tree>, actions: [{ type: 'addLabel', labelId: 'labelId', labelName: 'Friendly Label Name' }, { type: 'archive' }] }
   spamKeywords: ['win a prize', 'free money', 'urgent action required', 'limited time offer', 'congratulations you won'],
   spamSenderDomains: [], // e.g., ['shady.biz', 'freestuff.xyz'] - less reliable, use with caution
+  spamSignals: { ...DEFAULT_SPAM_SIGNALS },
+  protectedBrands: DEFAULT_PROTECTED_BRANDS, // Display names that must come from the brand's own domains
+  spamWeights: { ...DEFAULT_SPAM_WEIGHTS },
+  spamThresholds: { ...DEFAULT_SPAM_THRESHOLDS },
+  trustedSenders: [], // Addresses that are never treated as spam
+  trustedDomains: [], // Domains (and their subdomains) that are never treated as spam
+  autoTrustRepliedSenders: false, // Also trust everyone we've sent mail to (from the SENT label)
+  spamKeywordWeights: {}, // { 'lowercased keyword': weight } overriding spamWeights.keyword
+  enablePhishingDetection: true,
+  phishingDomains: [], // Known-bad domains (and their subdomains) whose links always mark a message as phishing
   autoCreateLabels: false, // Whether to auto-create labels from patterns or just suggest
   processingInterval: DEFAULT_PROCESSING_INTERVAL_MINUTES,
   enableSpamDetection: true,
   enablePatternDetection: true,
+  dryRun: false, // Log intended actions instead of modifying messages
+  quotaUnitsPerSecond: DEFAULT_QUOTA_UNITS_PER_SECOND,
+  retentionPolicies: [], // { id, labelId, labelName, olderThanDays, action: 'archive'|'trash'|'markRead', enabled }
   lastProcessedTimestamp: null
 };
 
+const DEFAULT_USER_SETTINGS = JSON.parse(JSON.stringify(userSettings));
+const RUNTIME_SETTING_KEYS = ['lastProcessedTimestamp']; // Kept in userSettings but never persisted to sync
+
 let gmailLabels = {}; // Cache for Gmail labels {id: name}
+let gmailLabelsFetchedAt = 0; // 0 means the label cache must be refetched
+let quotaBucket = { units: 0, updatedAt: 0 }; // Token bucket refilled at quotaUnitsPerSecond
+let isProcessingCycleRunning = false; // Guards against overlapping alarm/manual processing cycles
+let isBackfillRunning = false;
+let isRetentionRunning = false;
+let activityLogWriteChain = Promise.resolve(); // Serializes read-modify-write of the activity log
+let suggestedLabelsWriteChain = Promise.resolve(); // Same for suggestedLabels
+let newslettersWriteChain = Promise.resolve(); // Same for newsletters
+let ownLabelChangesWriteChain = Promise.resolve();
+let settingsWriteChain = Promise.resolve(); // Saves rewrite and prune rule shards, so they must not overlap
+let spamModel = null; // Loaded lazily from chrome.storage.local
+let settingsStatus = { location: 'sync', ruleShardCount: 0, loadWarnings: [], saveWarning: null }; // Shown in options
+let repliedContacts = null; // { addresses, refreshedAt }, loaded lazily from chrome.storage.local
 
 // --- Authentication & API Helpers ---
 
@@ -35,393 +170,3274 @@ async function getAuthToken(interactive = false) {
   });
 }
 
-async function fetchGmailApi(endpoint, method = 'GET', body = null) {
-  try {
-    const token = await getAuthToken();
-    if (!token) {
-      console.error('No auth token available.');
-      // Potentially trigger interactive auth or notify user
-      chrome.notifications.create({
-        type: 'basic',
-        iconUrl: 'icons/icon128.png',
-        title: 'Authentication Required',
-        message: 'Gmail Organizer needs you to sign in to access your emails.',
-        priority: 2
-      });
-      await getAuthToken(true); // Attempt interactive auth
-      return null; // Or throw an error to stop processing
-    }
+// --- Request Layer ---
+// Every Gmail call goes through a token bucket sized by the user's quota budget and is retried
+// with exponential backoff on rate limiting (429, 403 rateLimitExceeded) and server errors.
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Approximate Gmail quota units per method: https://developers.google.com/gmail/api/reference/quota
+function getQuotaCost(endpoint, method) {
+  const path = endpoint.split('?')[0];
+  if (path === '/messages/batchModify') return 50;
+  if (path === '/messages/send') return 100;
+  if (path === '/history') return 2;
+  if (path === '/profile' || (path === '/labels' && method === 'GET')) return 1;
+  return 5;
+}
+
+async function acquireQuota(units) {
+  const unitsPerSecond = Math.max(1, userSettings.quotaUnitsPerSecond || DEFAULT_QUOTA_UNITS_PER_SECOND);
+  const cost = Math.min(units, unitsPerSecond); // A single request larger than the budget still has to run
+  for (;;) {
+    const now = Date.now();
+    quotaBucket.units = Math.min(unitsPerSecond, quotaBucket.units + ((now - quotaBucket.updatedAt) / 1000) * unitsPerSecond);
+    quotaBucket.updatedAt = now;
+    if (quotaBucket.units >= cost) {
+      quotaBucket.units -= cost;
+      return;
+    }
+    await sleep(((cost - quotaBucket.units) / unitsPerSecond) * 1000);
+  }
+}
+
+async function isRateLimitedResponse(response) {
+  if (response.status === 429 || response.status >= 500) return true;
+  if (response.status !== 403) return false;
+  try {
+    const errorData = await response.clone().json();
+    return (errorData.error?.errors || []).some(e => e.reason === 'rateLimitExceeded' || e.reason === 'userRateLimitExceeded');
+  } catch (e) {
+    return false;
+  }
+}
+
+function getRetryDelayMs(response, attempt) {
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const retryDate = Date.parse(retryAfter);
+    if (!isNaN(retryDate)) return Math.max(0, retryDate - Date.now());
+  }
+  return BASE_RETRY_DELAY_MS * 2 ** attempt + Math.random() * BASE_RETRY_DELAY_MS;
+}
+
+async function fetchWithRetry(url, config, quotaUnits) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireQuota(quotaUnits);
+    const response = await fetch(url, config);
+    if (attempt >= MAX_API_RETRIES || !(await isRateLimitedResponse(response))) {
+      return response;
+    }
+    const delay = getRetryDelayMs(response, attempt);
+    console.warn(`Gmail API returned ${response.status}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${MAX_API_RETRIES}).`);
+    await sleep(delay);
+  }
+}
+
+async function fetchGmailApi(endpoint, method = 'GET', body = null) {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      console.error('No auth token available.');
+      // Potentially trigger interactive auth or notify user
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Authentication Required',
+        message: 'Gmail Organizer needs you to sign in to access your emails.',
+        priority: 2
+      });
+      await getAuthToken(true); // Attempt interactive auth
+      return null; // Or throw an error to stop processing
+    }
+
+    const headers = new Headers({
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    });
+
+    const config = { method, headers };
+    if (body) {
+      config.body = JSON.stringify(body);
+    }
+
+    const response = await fetchWithRetry(`${GMAIL_API_BASE_URL}${endpoint}`, config, getQuotaCost(endpoint, method));
+
+    if (response.status === 401) { // Token might have expired or been revoked
+      console.warn('Gmail API returned 401, attempting to remove cached token and retry interactive auth.');
+      chrome.identity.removeCachedAuthToken({ token }, async () => {
+        await getAuthToken(true); // Re-authenticate interactively
+      });
+      throw new Error('Unauthorized. Please re-authenticate.');
+    }
+    if (!response.ok) {
+      const errorData = await response.json();
+      console.error(`Gmail API Error (${response.status}): ${errorData.error.message}`);
+      const apiError = new Error(`API Error: ${errorData.error.message}`);
+      apiError.status = response.status;
+      throw apiError;
+    }
+    const text = await response.text(); // batchModify and friends answer 204 with no body
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    console.error('Error in fetchGmailApi:', error);
+    // Notify the user about API errors if they are persistent. 404s are expected (expired
+    // history ids, messages deleted before we fetched them) and handled by the callers.
+    if ((error.message.includes('API Error') && error.status !== 404) || error.message.includes('NetworkError')) {
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: 'Gmail API Error',
+            message: `Could not connect to Gmail: ${error.message}. Please check your connection or try again later.`,
+            priority: 2
+        });
+    }
+    throw error; // Re-throw to be caught by calling function
+  }
+}
+
+// Sends GET requests through Gmail's multipart batch endpoint. Resolves to one
+// { status, body } per request, in order; missing entries mean the part was unparseable.
+async function fetchGmailBatch(endpoints) {
+  const token = await getAuthToken();
+  if (!token) throw new Error('Unauthorized. Please re-authenticate.');
+
+  const boundary = `batch_inbox_detox_${Date.now()}`;
+  const body = endpoints.map((endpoint, index) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <item-${index}>`,
+    '',
+    `GET ${GMAIL_BATCH_PATH_PREFIX}${endpoint}`,
+    '',
+    ''
+  ].join('\r\n')).join('') + `--${boundary}--`;
+
+  const quotaUnits = endpoints.reduce((total, endpoint) => total + getQuotaCost(endpoint, 'GET'), 0);
+  const response = await fetchWithRetry(GMAIL_BATCH_URL, {
+    method: 'POST',
+    headers: new Headers({
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': `multipart/mixed; boundary=${boundary}`
+    }),
+    body
+  }, quotaUnits);
+  if (!response.ok) {
+    const apiError = new Error(`API Error: batch request failed with status ${response.status}`);
+    apiError.status = response.status;
+    throw apiError;
+  }
+  return parseBatchResponse(await response.text(), response.headers.get('Content-Type') || '');
+}
+
+function parseBatchResponse(text, contentType) {
+  const boundaryMatch = contentType.match(/boundary=("?)([^";]+)\1/);
+  if (!boundaryMatch) throw new Error('Batch response has no multipart boundary.');
+
+  const results = [];
+  text.split(`--${boundaryMatch[2]}`).forEach(part => {
+    const idMatch = part.match(/Content-ID:\s*<response-item-(\d+)>/i);
+    const statusMatch = part.match(/HTTP\/[\d.]+ (\d{3})/);
+    if (!idMatch || !statusMatch) return;
+
+    const response = part.slice(statusMatch.index);
+    const bodyStart = response.search(/\r?\n\r?\n/);
+    let body = null;
+    if (bodyStart > -1) {
+      const rawBody = response.slice(bodyStart).trim();
+      try {
+        body = rawBody ? JSON.parse(rawBody) : null;
+      } catch (e) {
+        console.warn('Could not parse batch response part:', e);
+      }
+    }
+    results[parseInt(idMatch[1])] = { status: parseInt(statusMatch[1]), body };
+  });
+  return results;
+}
+
+// Fetches many messages with multipart batches of BATCH_GET_SIZE. Parts that were rate limited
+// or failed are retried one by one through fetchGmailApi; deleted messages are skipped.
+async function batchGetMessages(messageIds, format = 'full') {
+  const messagesById = new Map();
+  for (let i = 0; i < messageIds.length; i += BATCH_GET_SIZE) {
+    const chunk = messageIds.slice(i, i + BATCH_GET_SIZE);
+    let results = [];
+    try {
+      results = await fetchGmailBatch(chunk.map(id => `/messages/${id}?format=${format}`));
+    } catch (error) {
+      console.warn('Batch request failed, falling back to individual requests:', error);
+    }
+
+    for (let j = 0; j < chunk.length; j++) {
+      const result = results[j];
+      if (result?.status === 200 && result.body) {
+        messagesById.set(chunk[j], result.body);
+      } else if (result?.status !== 404) {
+        try {
+          const message = await fetchGmailApi(`/messages/${chunk[j]}?format=${format}`);
+          if (message) messagesById.set(chunk[j], message);
+        } catch (error) {
+          console.warn(`Could not fetch message ${chunk[j]}:`, error);
+        }
+      }
+    }
+  }
+  return messageIds.filter(id => messagesById.has(id)).map(id => messagesById.get(id));
+}
+
+// Applies per-message label changes with as few messages.batchModify calls as possible by
+// grouping messages that share the same add/remove sets. Returns the ids that were applied.
+async function modifyMessagesInBatches(modifications) {
+  const appliedIds = new Set();
+  const groups = new Map();
+  modifications.forEach(({ messageId, addLabelIds, removeLabelIds }) => {
+    if (!addLabelIds.length && !removeLabelIds.length) {
+      appliedIds.add(messageId); // Nothing to change
+      return;
+    }
+    const key = `${[...addLabelIds].sort().join(',')}|${[...removeLabelIds].sort().join(',')}`;
+    if (!groups.has(key)) groups.set(key, { addLabelIds, removeLabelIds, messageIds: [] });
+    groups.get(key).messageIds.push(messageId);
+  });
+
+  for (const group of groups.values()) {
+    for (let i = 0; i < group.messageIds.length; i += BATCH_MODIFY_MAX_IDS) {
+      const ids = group.messageIds.slice(i, i + BATCH_MODIFY_MAX_IDS);
+      try {
+        await fetchGmailApi('/messages/batchModify', 'POST', {
+          ids,
+          addLabelIds: group.addLabelIds,
+          removeLabelIds: group.removeLabelIds
+        });
+        ids.forEach(id => appliedIds.add(id));
+        await rememberOwnLabelChanges(ids, group.addLabelIds, group.removeLabelIds);
+        console.log(`Labels modified for ${ids.length} messages. Added: ${group.addLabelIds.join(', ')}. Removed: ${group.removeLabelIds.join(', ')}`);
+      } catch (error) {
+        console.error(`Error applying labels to ${ids.length} messages:`, error);
+      }
+    }
+  }
+  return appliedIds;
+}
+
+// Labels are cached for LABEL_CACHE_TTL_MS; pass forceRefresh to bypass the cache.
+async function getLabels(forceRefresh = false) {
+  if (!forceRefresh && gmailLabelsFetchedAt && Date.now() - gmailLabelsFetchedAt < LABEL_CACHE_TTL_MS) {
+    return gmailLabels;
+  }
+  try {
+    const data = await fetchGmailApi('/labels');
+    gmailLabels = {}; // Reset cache
+    if (data && data.labels) {
+      data.labels.forEach(label => {
+        gmailLabels[label.id] = label.name;
+      });
+      gmailLabelsFetchedAt = Date.now();
+      return gmailLabels;
+    }
+    return {};
+  } catch (error) {
+    console.error('Error fetching labels:', error);
+    return {}; // Return empty or cached if error
+  }
+}
+
+function invalidateLabelCache() {
+  gmailLabelsFetchedAt = 0;
+}
+
+function findLabelIdByName(labelName) {
+  return Object.keys(gmailLabels).find(id => gmailLabels[id].toLowerCase() === labelName.toLowerCase()) || null;
+}
+
+async function createLabelIfNeeded(labelName) {
+  await getLabels(); // Uses the cache unless it is stale
+  let existingLabelId = findLabelIdByName(labelName);
+  if (!existingLabelId) {
+    // The label may have been created in Gmail since the cache was filled
+    await getLabels(true);
+    existingLabelId = findLabelIdByName(labelName);
+  }
+
+  if (existingLabelId) {
+    return existingLabelId;
+  }
+
+  try {
+    console.log(`Creating label: ${labelName}`);
+    const newLabel = await fetchGmailApi('/labels', 'POST', {
+      name: labelName,
+      labelListVisibility: 'labelShow',
+      messageListVisibility: 'show'
+    });
+    if (newLabel && newLabel.id) {
+      gmailLabels[newLabel.id] = newLabel.name; // Update cache
+      return newLabel.id;
+    }
+  } catch (error) {
+    if (error.status === 409) { // Created concurrently; pick it up from a fresh label list
+      invalidateLabelCache();
+      await getLabels(true);
+      const concurrentLabelId = findLabelIdByName(labelName);
+      if (concurrentLabelId) return concurrentLabelId;
+    }
+    console.error(`Error creating label "${labelName}":`, error);
+    // Notify user about failure to create label
+    chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Label Creation Failed',
+        message: `Could not create label: ${labelName}. Error: ${error.message}`,
+        priority: 1
+    });
+  }
+  return null;
+}
+
+async function applyLabelsToMessage(messageId, labelIdsToAdd, labelIdsToRemove = []) {
+  if (!labelIdsToAdd.length && !labelIdsToRemove.length) return true;
+  try {
+    await fetchGmailApi(`/messages/${messageId}/modify`, 'POST', {
+      addLabelIds: labelIdsToAdd,
+      removeLabelIds: labelIdsToRemove
+    });
+    await rememberOwnLabelChanges([messageId], labelIdsToAdd, labelIdsToRemove);
+    console.log(`Labels modified for message ${messageId}. Added: ${labelIdsToAdd.join(', ')}. Removed: ${labelIdsToRemove.join(', ')}`);
+    return true;
+  } catch (error) {
+    console.error(`Error applying labels to message ${messageId}:`, error);
+    return false;
+  }
+}
+
+// --- Own Label Changes ---
+// The history API reports label changes without saying who made them. Changes the extension makes
+// to user labels are remembered in chrome.storage.local so history consumers can tell them apart
+// from what the user did in Gmail.
+
+function rememberOwnLabelChanges(messageIds, addLabelIds, removeLabelIds) {
+  const isUserLabel = id => id.startsWith('Label_'); // System labels (INBOX, UNREAD, ...) aren't tracked
+  const at = Date.now();
+  const changes = messageIds.flatMap(messageId => [
+    ...addLabelIds.filter(isUserLabel).map(labelId => ({ messageId, labelId, change: 'added', at })),
+    ...removeLabelIds.filter(isUserLabel).map(labelId => ({ messageId, labelId, change: 'removed', at }))
+  ]);
+  if (!changes.length) return ownLabelChangesWriteChain;
+
+  ownLabelChangesWriteChain = ownLabelChangesWriteChain.then(async () => {
+    const { ownLabelChanges = [] } = await chrome.storage.local.get('ownLabelChanges');
+    const recentChanges = ownLabelChanges.filter(change => at - change.at < OWN_LABEL_CHANGE_TTL_MS);
+    recentChanges.push(...changes);
+    await chrome.storage.local.set({ ownLabelChanges: recentChanges.slice(-MAX_TRACKED_OWN_LABEL_CHANGES) });
+  }).catch(error => console.error('Error recording own label changes:', error));
+  return ownLabelChangesWriteChain;
+}
+
+// Drops history label changes the extension made itself; each remembered change is consumed once.
+async function excludeOwnLabelChanges(labelChanges) {
+  let userLabelChanges = [];
+  ownLabelChangesWriteChain = ownLabelChangesWriteChain.then(async () => {
+    const { ownLabelChanges = [] } = await chrome.storage.local.get('ownLabelChanges');
+    userLabelChanges = labelChanges.filter(change => {
+      const index = ownLabelChanges.findIndex(own =>
+        own.messageId === change.messageId && own.labelId === change.labelId && own.change === change.change);
+      if (index === -1) return true;
+      ownLabelChanges.splice(index, 1);
+      return false;
+    });
+    await chrome.storage.local.set({ ownLabelChanges });
+  }).catch(error => console.error('Error reading own label changes:', error));
+  await ownLabelChangesWriteChain;
+  return userLabelChanges;
+}
+
+// --- Rule Actions ---
+// A rule carries a list of actions, e.g. [{ type: 'addLabel', labelName: 'Finance' }, { type: 'archive' }].
+// All actions for a message are folded into a single add/remove label set, so each message needs
+// one label change, and messages sharing the same set are modified together with batchModify.
+
+async function resolveActionLabelId(action, createIfMissing) {
+  if (action.labelId && gmailLabels[action.labelId]) return action.labelId; // Prefer ID if stored and still valid
+  if (!action.labelName) return null;
+  if (createIfMissing) return createLabelIfNeeded(action.labelName);
+  return findLabelIdByName(action.labelName);
+}
+
+async function resolveRuleActions(actions) {
+  const addLabelIds = new Set();
+  const removeLabelIds = new Set();
+  let keepUnread = false;
+
+  for (const action of actions) {
+    switch (action.type) {
+      case 'addLabel': {
+        const labelId = await resolveActionLabelId(action, true);
+        if (labelId) addLabelIds.add(labelId);
+        break;
+      }
+      case 'removeLabel': {
+        const labelId = await resolveActionLabelId(action, false);
+        if (labelId) removeLabelIds.add(labelId);
+        break;
+      }
+      case 'archive':
+        removeLabelIds.add('INBOX');
+        break;
+      case 'star':
+        addLabelIds.add('STARRED');
+        break;
+      case 'markImportant':
+        addLabelIds.add('IMPORTANT');
+        break;
+      case 'markRead':
+        removeLabelIds.add('UNREAD');
+        break;
+      case 'keepUnread':
+        keepUnread = true;
+        break;
+      case 'trash':
+        addLabelIds.add('TRASH');
+        break;
+      default:
+        console.warn(`Unknown rule action type: ${action.type}`);
+    }
+  }
+
+  if (keepUnread) removeLabelIds.delete('UNREAD'); // keepUnread wins over markRead
+  // A label can't be both added and removed in one call; the add wins.
+  addLabelIds.forEach(id => removeLabelIds.delete(id));
+  return { addLabelIds: [...addLabelIds], removeLabelIds: [...removeLabelIds] };
+}
+
+function describeActions(actions) {
+  return actions.map(a => a.labelName ? `${a.type}(${a.labelName})` : a.type).join(', ');
+}
+
+// --- Activity Log ---
+// Every automated change is recorded in chrome.storage.local under 'activityLog' (newest last,
+// capped at MAX_ACTIVITY_LOG_ENTRIES). Entries store only the labels that actually changed on
+// the message, so undoing one replays the exact inverse /modify call.
+
+function generateRunId(source) {
+  return `${source}_${Date.now()}`;
+}
+
+function appendActivityLogEntries(entries) {
+  activityLogWriteChain = activityLogWriteChain.then(async () => {
+    const { activityLog = [] } = await chrome.storage.local.get('activityLog');
+    activityLog.push(...entries);
+    await chrome.storage.local.set({ activityLog: activityLog.slice(-MAX_ACTIVITY_LOG_ENTRIES) });
+  }).catch(error => console.error('Error writing activity log:', error));
+  return activityLogWriteChain;
+}
+
+async function recordActivity({ message, runId, source, rules = [], retentionPolicy = null, spam = false, spamScore = null, phishing = null, actions = [], addLabelIds = [], removeLabelIds = [], dryRun = false }) {
+  const labelsBefore = new Set(message.labelIds || []);
+  const addedLabelIds = addLabelIds.filter(id => !labelsBefore.has(id));
+  const removedLabelIds = removeLabelIds.filter(id => labelsBefore.has(id));
+  if (!dryRun && !addedLabelIds.length && !removedLabelIds.length) return; // Nothing actually changed
+
+  const fields = getMessageFields(message);
+  await appendActivityLogEntries([{
+    id: `act_${Date.now()}_${message.id}`,
+    runId,
+    source, // 'processing', 'backfill' or 'retention'
+    messageId: message.id,
+    subject: fields.subject,
+    sender: fields.sender,
+    ruleIds: rules.map(rule => rule.id),
+    ruleDescriptions: rules.map(describeRule),
+    retentionPolicy: retentionPolicy ? describeRetentionPolicy(retentionPolicy) : null,
+    spam,
+    spamScore: spamScore && spamScore.signals.length ? spamScore : null, // { score, verdict, signals } breakdown
+    phishing: phishing ? { score: phishing.score, findings: phishing.findings } : null,
+    dryRun,
+    actions: describeActions(actions),
+    addedLabelIds,
+    removedLabelIds,
+    addedLabelNames: addedLabelIds.map(id => gmailLabels[id] || id),
+    removedLabelNames: removedLabelIds.map(id => gmailLabels[id] || id),
+    timestamp: new Date().toISOString(),
+    undone: false
+  }]);
+}
+
+// Undoes the given entries (by id) or every entry of a run, newest first. Throws when the
+// labels were restored but the entries could not be marked as undone.
+async function undoActivity({ entryIds = [], runId = null }) {
+  await activityLogWriteChain;
+  const { activityLog = [] } = await chrome.storage.local.get('activityLog');
+  const targets = activityLog
+    .filter(entry => !entry.undone && !entry.dryRun && (entryIds.includes(entry.id) || (runId && entry.runId === runId)))
+    .reverse();
+
+  const undoneIds = new Set();
+  const touchesMessageOnce = new Set(targets.map(entry => entry.messageId)).size === targets.length;
+  if (touchesMessageOnce) {
+    // A run touches each message once, so its inverse changes can be batched in any order
+    const appliedMessageIds = await modifyMessagesInBatches(targets.map(entry => ({
+      messageId: entry.messageId,
+      addLabelIds: entry.removedLabelIds,
+      removeLabelIds: entry.addedLabelIds
+    })));
+    targets.forEach(entry => { if (appliedMessageIds.has(entry.messageId)) undoneIds.add(entry.id); });
+  } else {
+    for (const entry of targets) {
+      if (await applyLabelsToMessage(entry.messageId, entry.removedLabelIds, entry.addedLabelIds)) {
+        undoneIds.add(entry.id);
+      }
+    }
+  }
+
+  let logError = null;
+  activityLogWriteChain = activityLogWriteChain.then(async () => {
+    const { activityLog: latestLog = [] } = await chrome.storage.local.get('activityLog');
+    const undoneAt = new Date().toISOString();
+    latestLog.forEach(entry => {
+      if (undoneIds.has(entry.id)) {
+        entry.undone = true;
+        entry.undoneAt = undoneAt;
+      }
+    });
+    await chrome.storage.local.set({ activityLog: latestLog });
+  }).catch(error => {
+    logError = error;
+    console.error('Error marking activity log entries as undone:', error);
+  });
+  await activityLogWriteChain;
+  if (logError) {
+    throw new Error(`Labels were restored on ${undoneIds.size} message(s), but the activity log could not be updated: ${logError.message}`);
+  }
+  return { undone: undoneIds.size, failed: targets.length - undoneIds.size };
+}
+
+// --- MIME Parsing ---
+// Walks the payload tree returned by messages.get?format=full. Gmail has already undone the
+// Content-Transfer-Encoding (base64, quoted-printable) and hands every body back as base64url
+// of the raw bytes, so all that's left is decoding those bytes in the part's declared charset.
+
+const messageContentCache = new WeakMap(); // message object -> extracted content
+
+function getPartHeader(part, headerName) {
+  const name = headerName.toLowerCase();
+  return (part.headers || []).find(h => h.name.toLowerCase() === name)?.value || '';
+}
+
+function getPartCharset(part) {
+  const match = getPartHeader(part, 'Content-Type').match(/charset\s*=\s*"?([^";\s]+)"?/i);
+  return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+function decodeBase64UrlBytes(data) {
+  const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function decodePartBody(part) {
+  const bytes = decodeBase64UrlBytes(part.body.data);
+  try {
+    return new TextDecoder(getPartCharset(part)).decode(bytes);
+  } catch (e) { // Unknown charset label
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeHtmlEntities(text) {
+  const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isNaN(codePoint) ? entity : String.fromCodePoint(codePoint);
+    }
+    return namedEntities[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Service workers have no DOMParser, so HTML is reduced to text with regexes. Good enough for
+// keyword matching; not a sanitizer.
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+  return decodeHtmlEntities(text).replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+}
+
+function collectPartContent(part, content) {
+  const mimeType = (part.mimeType || '').toLowerCase();
+  const isAttachment = !!part.filename || !!part.body?.attachmentId ||
+    /^\s*attachment/i.test(getPartHeader(part, 'Content-Disposition'));
+
+  if (isAttachment) {
+    content.attachments.push({
+      filename: part.filename || '',
+      mimeType,
+      size: part.body?.size || 0,
+      attachmentId: part.body?.attachmentId || null
+    });
+    return;
+  }
+  if (part.parts) { // multipart/* and message/rfc822
+    part.parts.forEach(child => collectPartContent(child, content));
+    return;
+  }
+  if (mimeType !== 'text/plain' && mimeType !== 'text/html') {
+    // Other inline leaf parts (e.g. the text/calendar part of an invite) count as attachments
+    if (part.body?.size) {
+      content.attachments.push({ filename: '', mimeType, size: part.body.size, attachmentId: null });
+    }
+    return;
+  }
+  if (!part.body?.data) return;
+
+  try {
+    if (mimeType === 'text/plain') {
+      content.textParts.push(decodePartBody(part));
+    } else if (mimeType === 'text/html') {
+      content.htmlParts.push(decodePartBody(part));
+    }
+  } catch (e) {
+    console.warn(`Error decoding ${mimeType} body part:`, e);
+  }
+}
+
+// Returns { text, html, attachments: [{ filename, mimeType, size, attachmentId }] }. text is the
+// plain-text body, falling back to the HTML body stripped of markup for HTML-only mail.
+function extractMessageContent(message) {
+  if (messageContentCache.has(message)) return messageContentCache.get(message);
+
+  const collected = { textParts: [], htmlParts: [], attachments: [] };
+  if (message.payload) collectPartContent(message.payload, collected);
+  const html = collected.htmlParts.join('\n');
+  const content = {
+    text: collected.textParts.length ? collected.textParts.join('\n') : htmlToText(html),
+    html,
+    attachments: collected.attachments
+  };
+  messageContentCache.set(message, content);
+  return content;
+}
+
+// --- Core Email Processing Logic ---
+
+// Rule conditions form a tree. A group node is { op: 'and'|'or'|'not', conditions: [...] } where
+// 'not' matches when none of its children match; a leaf node is
+// { type: 'sender/subject/keyword/header', operator: 'contains/equals/...', value: 'string', header: 'List-Id' }.
+// Leaves without an operator (older rules) behave as 'contains'. Attachment leaves use
+// 'hasAttachment' (no value), 'attachmentName', 'attachmentType' (pdf/calendar/image or a MIME
+// type) and 'attachmentSize' (operator 'greaterThan'/'lessThan', value in KB). 'gmailQuery' leaves
+// hold a native Gmail search (no operator) and are answered by Gmail, see findGmailQueryMatches.
+const DEFAULT_CONDITION_OPERATOR = 'contains';
+const EMAIL_ADDRESS_REGEX = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const ATTACHMENT_TYPE_PATTERNS = {
+  pdf: /^application\/pdf$/,
+  calendar: /^(text\/calendar|application\/ics)$/,
+  image: /^image\//
+};
+
+const conditionRegexCache = new Map(); // Compiled regex per pattern string, null if invalid
+
+function isConditionGroup(node) {
+  return !!node && Array.isArray(node.conditions);
+}
+
+function getHeaderValues(message, headerName) {
+  const name = headerName.toLowerCase();
+  return message.payload.headers.filter(h => h.name.toLowerCase() === name).map(h => h.value || '');
+}
+
+function extractEmailAddresses(text) {
+  return (text.match(EMAIL_ADDRESS_REGEX) || []).map(address => address.toLowerCase());
+}
+
+function getMessageFields(message, gmailQueryMatches = null) {
+  const subject = message.payload.headers.find(h => h.name.toLowerCase() === 'subject')?.value || '';
+  const sender = message.payload.headers.find(h => h.name.toLowerCase() === 'from')?.value || '';
+  const { text, attachments } = extractMessageContent(message);
+  return { message, subject, sender, body: `${message.snippet || ''}\n${text}`, attachments, gmailQueryMatches };
+}
+
+// The strings a leaf is tested against. Address fields are tested both as the raw header
+// ("Bob <bob@x.com>") and as each bare address, so 'equals' works on the address itself.
+function getConditionTargets(fields, leaf) {
+  switch (leaf.type) {
+    case 'sender':
+      return [fields.sender, ...extractEmailAddresses(fields.sender)];
+    case 'subject':
+      return [fields.subject];
+    case 'keyword': // Searches in subject or snippet/body
+      return [fields.subject, fields.body];
+    case 'header': {
+      if (!leaf.header) return [];
+      const values = getHeaderValues(fields.message, leaf.header);
+      return [...values, ...values.flatMap(extractEmailAddresses)];
+    }
+    case 'attachmentName':
+      return fields.attachments.map(attachment => attachment.filename).filter(filename => filename);
+    default:
+      return [];
+  }
+}
+
+function getConditionRegex(pattern) {
+  if (!conditionRegexCache.has(pattern)) {
+    try {
+      conditionRegexCache.set(pattern, new RegExp(pattern, 'i'));
+    } catch (e) {
+      console.warn(`Invalid regex in rule condition: ${pattern}`, e);
+      conditionRegexCache.set(pattern, null);
+    }
+  }
+  return conditionRegexCache.get(pattern);
+}
+
+function matchesOperator(target, operator, rawValue) {
+  const text = target.toLowerCase();
+  const value = (rawValue || '').toLowerCase();
+  switch (operator) {
+    case 'contains':
+      return text.includes(value);
+    case 'equals':
+      return text.trim() === value.trim();
+    case 'startsWith':
+      return text.startsWith(value);
+    case 'endsWith':
+      return text.endsWith(value);
+    case 'regex': {
+      const regex = getConditionRegex(rawValue || '');
+      return !!regex && regex.test(target);
+    }
+    case 'domainEquals': {
+      const domain = value.trim().replace(/^@/, '');
+      return extractEmailAddresses(text).some(address => address.split('@')[1] === domain);
+    }
+    default:
+      return false;
+  }
+}
+
+function matchesAttachmentType(attachment, type) {
+  const value = (type || '').trim().toLowerCase();
+  const pattern = ATTACHMENT_TYPE_PATTERNS[value];
+  if (pattern) {
+    // Fall back to the extension for attachments sent as application/octet-stream
+    return pattern.test(attachment.mimeType) ||
+      (value === 'pdf' && /\.pdf$/i.test(attachment.filename)) ||
+      (value === 'calendar' && /\.ics$/i.test(attachment.filename));
+  }
+  return attachment.mimeType === value || (value.endsWith('/*') && attachment.mimeType.startsWith(value.slice(0, -1)));
+}
+
+function evaluateConditionLeaf(fields, leaf) {
+  switch (leaf.type) {
+    case 'hasAttachment':
+      return fields.attachments.length > 0;
+    case 'attachmentType':
+      return fields.attachments.some(attachment => matchesAttachmentType(attachment, leaf.value));
+    case 'attachmentSize': {
+      const thresholdBytes = parseFloat(leaf.value) * 1024;
+      if (isNaN(thresholdBytes)) return false;
+      return fields.attachments.some(attachment =>
+        leaf.operator === 'lessThan' ? attachment.size < thresholdBytes : attachment.size > thresholdBytes);
+    }
+    case 'gmailQuery':
+      return !!fields.gmailQueryMatches?.get(normalizeGmailQuery(leaf.value))?.has(fields.message.id);
+  }
+  const operator = leaf.operator || DEFAULT_CONDITION_OPERATOR;
+  return getConditionTargets(fields, leaf).some(target => matchesOperator(target, operator, leaf.value));
+}
+
+function evaluateCondition(fields, node) {
+  if (!node) return false;
+  if (!isConditionGroup(node)) return evaluateConditionLeaf(fields, node);
+
+  switch (node.op) {
+    case 'and':
+      return node.conditions.length > 0 && node.conditions.every(child => evaluateCondition(fields, child));
+    case 'or':
+      return node.conditions.some(child => evaluateCondition(fields, child));
+    case 'not':
+      return node.conditions.length > 0 && !node.conditions.some(child => evaluateCondition(fields, child));
+    default:
+      return false;
+  }
+}
+
+// gmailQueryMatches comes from findGmailQueryMatches; without it Gmail query leaves never match.
+function messageMatchesRule(message, rule, gmailQueryMatches = null) {
+  return evaluateCondition(getMessageFields(message, gmailQueryMatches), rule.condition);
+}
+
+// Older versions stored a single { type, value } pair directly on the rule and always added
+// one label while marking the message read. Convert those into a condition tree and action list,
+// and give every rule an id and an explicit priority (its position when it had none).
+function migrateRule(rule, index = 0) {
+  if (!rule) return rule;
+  let migrated = rule;
+  if (!migrated.condition) {
+    const { type, value, ...rest } = migrated;
+    migrated = {
+      ...rest,
+      condition: { op: 'and', conditions: [{ type, value }] }
+    };
+  }
+  if (!migrated.actions) {
+    const { labelId, labelName, ...rest } = migrated;
+    migrated = {
+      ...rest,
+      actions: [{ type: 'addLabel', labelId, labelName }, { type: 'markRead' }]
+    };
+  }
+  if (!migrated.id) {
+    migrated = { ...migrated, id: generateRuleId(index) };
+  }
+  if (typeof migrated.priority !== 'number') {
+    migrated = { ...migrated, priority: index };
+  }
+  return migrated;
+}
+
+function generateRuleId(suffix = 0) {
+  return `rule_${Date.now().toString(36)}_${suffix}`;
+}
+
+function getNextRulePriority() {
+  return userSettings.rules.reduce((max, rule) => Math.max(max, rule.priority ?? -1), -1) + 1;
+}
+
+// Lower priority numbers run first; ties keep their stored order.
+function getRulesInPriorityOrder() {
+  return userSettings.rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => (a.rule.priority ?? a.index) - (b.rule.priority ?? b.index) || a.index - b.index)
+    .map(entry => entry.rule);
+}
+
+// --- Gmail Query Conditions ---
+// Gmail can't search within a given set of message ids, but it can search by the Message-ID
+// header (rfc822msgid:). Membership of a batch of candidates is therefore checked by running
+// "(query) {rfc822msgid:a rfc822msgid:b ...}" and collecting the ids Gmail returns.
+
+function normalizeGmailQuery(query) {
+  return (query || '').trim();
+}
+
+function collectGmailQueries(node, queries = new Set()) {
+  if (!node) return queries;
+  if (isConditionGroup(node)) {
+    node.conditions.forEach(child => collectGmailQueries(child, queries));
+  } else if (node.type === 'gmailQuery' && normalizeGmailQuery(node.value)) {
+    queries.add(normalizeGmailQuery(node.value));
+  }
+  return queries;
+}
+
+function getRfc822MessageId(message) {
+  const value = getHeaderValues(message, 'Message-ID')[0] || '';
+  return value.trim().replace(/^<|>$/g, '');
+}
+
+// Returns Map<query, Set<messageId>> for every Gmail query used by the rules. Messages without
+// a Message-ID header can't be looked up and never match a query.
+async function findGmailQueryMatches(messages, rules) {
+  const queries = new Set();
+  rules.forEach(rule => collectGmailQueries(rule.condition, queries));
+  const matches = new Map();
+  if (queries.size === 0) return matches;
+
+  const candidates = messages.map(message => ({ id: message.id, rfcId: getRfc822MessageId(message) }))
+    .filter(candidate => candidate.rfcId && !/[\s{}()"]/.test(candidate.rfcId));
+  for (const query of queries) {
+    const matchedIds = new Set();
+    for (let i = 0; i < candidates.length; i += GMAIL_QUERY_CANDIDATES_PER_REQUEST) {
+      const chunk = candidates.slice(i, i + GMAIL_QUERY_CANDIDATES_PER_REQUEST);
+      const params = new URLSearchParams({
+        q: `(${query}) {${chunk.map(candidate => `rfc822msgid:${candidate.rfcId}`).join(' ')}}`,
+        maxResults: String(chunk.length * 2), // The same Message-ID can exist more than once, e.g. a sent copy
+        includeSpamTrash: 'true'
+      });
+      try {
+        const data = await fetchGmailApi(`/messages?${params}`);
+        (data?.messages || []).forEach(message => matchedIds.add(message.id));
+      } catch (error) {
+        console.warn(`Gmail query "${query}" could not be checked:`, error);
+      }
+    }
+    matches.set(query, new Set(candidates.filter(candidate => matchedIds.has(candidate.id)).map(candidate => candidate.id)));
+  }
+  return matches;
+}
+
+// Used by the rule editor's "Test query" button.
+async function countGmailQueryMatches(query) {
+  const params = new URLSearchParams({ q: normalizeGmailQuery(query), maxResults: String(MAX_TEST_QUERY_RESULTS) });
+  const data = await fetchGmailApi(`/messages?${params}`);
+  return { count: (data?.messages || []).length, hasMore: !!data?.nextPageToken };
+}
+
+// --- Sender Authentication Signals ---
+
+function getBaseDomain(domain) {
+  const labels = (domain || '').toLowerCase().replace(/\.$/, '').split('.');
+  const suffixLength = MULTI_LABEL_PUBLIC_SUFFIXES.includes(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-suffixLength).join('.');
+}
+
+function isSameOrSubdomain(domain, parentDomain) {
+  const d = (domain || '').toLowerCase();
+  const parent = parentDomain.toLowerCase();
+  return d === parent || d.endsWith(`.${parent}`);
+}
+
+// The actual mailbox of a From-style header: the <angle-addr> if present, else the first address
+function getSenderAddress(fromHeader) {
+  const angleMatch = (fromHeader || '').match(/<([^>]+)>/);
+  return extractEmailAddresses(angleMatch ? angleMatch[1] : fromHeader || '')[0] || '';
+}
+
+function getAddressDomain(address) {
+  return (address || '').split('@')[1] || '';
+}
+
+// Reads the receiving server's verdicts. Returns { spf, dkim, dmarc, dkimDomains } where each
+// verdict is the lowercase result (pass, fail, softfail, none, ...) or null when not reported.
+function parseAuthenticationResults(message) {
+  const results = { spf: null, dkim: null, dmarc: null, dkimDomains: [] };
+  getHeaderValues(message, 'Authentication-Results').forEach(value => {
+    ['spf', 'dkim', 'dmarc'].forEach(method => {
+      const matches = [...value.matchAll(new RegExp(`\\b${method}=(\\w+)`, 'gi'))].map(m => m[1].toLowerCase());
+      if (!matches.length) return;
+      // With several signatures, one passing DKIM result is enough
+      const verdict = matches.includes('pass') ? 'pass' : matches[0];
+      if (!results[method] || verdict === 'pass') results[method] = verdict;
+    });
+  });
+  if (!results.spf) {
+    const receivedSpf = getHeaderValues(message, 'Received-SPF')[0];
+    const match = receivedSpf?.match(/^\s*(\w+)/);
+    if (match) results.spf = match[1].toLowerCase();
+  }
+  getHeaderValues(message, 'DKIM-Signature').forEach(value => {
+    const match = value.match(/\bd=([^;\s]+)/i);
+    if (match) results.dkimDomains.push(match[1].toLowerCase());
+  });
+  return results;
+}
+
+function checkAuthenticationFailure(message, senderDomain) {
+  const auth = parseAuthenticationResults(message);
+  const failures = [];
+  if (auth.spf === 'fail' || auth.spf === 'softfail') failures.push(`SPF ${auth.spf}`);
+  if (auth.dkim === 'fail') failures.push('DKIM fail');
+  if (auth.dmarc === 'fail') failures.push('DMARC fail');
+  // A DKIM signature that verifies for an unrelated domain doesn't vouch for the From address
+  if (auth.dkim === 'pass' && auth.dmarc !== 'pass' && auth.dkimDomains.length && senderDomain &&
+      !auth.dkimDomains.some(domain => getBaseDomain(domain) === getBaseDomain(senderDomain)) &&
+      auth.spf !== 'pass') {
+    failures.push(`DKIM signed by unaligned domain ${auth.dkimDomains.join(', ')}`);
+  }
+  return failures.length ? failures.join(', ') : null;
+}
+
+function getDisplayName(fromHeader) {
+  const angleIndex = fromHeader.indexOf('<');
+  return (angleIndex > -1 ? fromHeader.slice(0, angleIndex) : '').replace(/["']/g, '').trim();
+}
+
+// Whole words only, so "Pineapple Deals" doesn't count as "Apple"
+function displayNameContainsWord(displayName, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^\\p{L}\\p{N}])${escaped}(?:$|[^\\p{L}\\p{N}])`, 'u').test(displayName);
+}
+
+function checkDisplayNameSpoofing(fromHeader, senderDomain) {
+  const displayName = getDisplayName(fromHeader).toLowerCase();
+  if (!displayName || !senderDomain) return null;
+
+  // A display name that is itself an address on another domain: "support@bank.com" <x@evil.example>
+  const displayedDomain = getAddressDomain(extractEmailAddresses(displayName)[0]);
+  if (displayedDomain && getBaseDomain(displayedDomain) !== getBaseDomain(senderDomain)) {
+    return `display name shows ${displayedDomain} but mail is from ${senderDomain}`;
+  }
+
+  for (const brand of userSettings.protectedBrands || []) {
+    if (!brand.name || !displayNameContainsWord(displayName, brand.name.toLowerCase())) continue;
+    if (!(brand.domains || []).some(domain => isSameOrSubdomain(senderDomain, domain))) {
+      return `display name "${brand.name}" used by ${senderDomain}`;
+    }
+  }
+  return null;
+}
+
+function checkReplyToMismatch(message, senderDomain) {
+  if (!senderDomain) return null;
+  const replyToDomains = getHeaderValues(message, 'Reply-To').flatMap(extractEmailAddresses).map(getAddressDomain);
+  const mismatched = replyToDomains.find(domain => domain && getBaseDomain(domain) !== getBaseDomain(senderDomain));
+  return mismatched ? `Reply-To ${mismatched} differs from From ${senderDomain}` : null;
+}
+
+// --- Spam Classifier ---
+// A naive Bayes model stored in chrome.storage.local under 'spamModel'. It learns from messages the
+// user moves into or out of ExtensionSpam in Gmail and from "train from label" runs started in the
+// options page. Its spam probability is one weighted signal of the spam score.
+
+function createEmptySpamModel() {
+  return { spamCount: 0, hamCount: 0, tokens: {}, trainedMessageIds: {} }; // tokens: { token: [spamCount, hamCount] }
+}
+
+async function loadSpamModel() {
+  if (!spamModel) {
+    const { spamModel: storedModel } = await chrome.storage.local.get('spamModel');
+    spamModel = storedModel || createEmptySpamModel();
+  }
+  return spamModel;
+}
+
+async function saveSpamModel(model) {
+  const trainedIds = Object.keys(model.trainedMessageIds);
+  trainedIds.slice(0, -MAX_TRACKED_TRAINED_IDS).forEach(id => delete model.trainedMessageIds[id]);
+  if (Object.keys(model.tokens).length > MAX_SPAM_MODEL_TOKENS) {
+    for (const [token, counts] of Object.entries(model.tokens)) {
+      if (counts[0] + counts[1] <= 1) delete model.tokens[token];
+    }
+  }
+  await chrome.storage.local.set({ spamModel: model });
+}
+
+async function resetSpamModel() {
+  spamModel = createEmptySpamModel();
+  await saveSpamModel(spamModel);
+}
+
+function getSpamModelStats(model) {
+  return { spamCount: model.spamCount, hamCount: model.hamCount, tokenCount: Object.keys(model.tokens).length };
+}
+
+// Sender, subject words and body words, each counted once per message. Sender and subject tokens
+// are prefixed so "invoice" in a subject and in a body are learned separately.
+function tokenizeMessage(message) {
+  const fields = getMessageFields(message);
+  const tokens = new Set();
+  const senderAddress = getSenderAddress(fields.sender).toLowerCase();
+  if (senderAddress) {
+    tokens.add(`from:${senderAddress}`);
+    tokens.add(`fromdomain:${getAddressDomain(senderAddress)}`);
+  }
+  const words = text => text.toLowerCase().match(/[\p{L}\p{N}$€£'-]{3,20}/gu) || [];
+  words(fields.subject).forEach(word => tokens.add(`subject:${word}`));
+  words(fields.body.slice(0, MAX_TOKENIZED_BODY_CHARS)).forEach(word => tokens.add(word));
+  return [...tokens].slice(0, MAX_TOKENS_PER_MESSAGE);
+}
+
+function updateSpamModelCounts(model, tokens, label, delta) {
+  const index = label === 'spam' ? 0 : 1;
+  model[`${label}Count`] = Math.max(0, model[`${label}Count`] + delta);
+  tokens.forEach(token => {
+    const counts = model.tokens[token] || [0, 0];
+    counts[index] = Math.max(0, counts[index] + delta);
+    if (counts[0] || counts[1]) {
+      model.tokens[token] = counts;
+    } else {
+      delete model.tokens[token];
+    }
+  });
+}
+
+// Adds a message to the model, moving it if it was trained as the other class before.
+// Returns false when it was already trained that way.
+function trainSpamModelMessage(model, message, isSpamMessage) {
+  const label = isSpamMessage ? 'spam' : 'ham';
+  const previousLabel = model.trainedMessageIds[message.id];
+  if (previousLabel === label) return false;
+
+  const tokens = tokenizeMessage(message);
+  if (previousLabel) updateSpamModelCounts(model, tokens, previousLabel, -1);
+  updateSpamModelCounts(model, tokens, label, 1);
+  delete model.trainedMessageIds[message.id]; // Re-insert so trimming keeps the most recent ids
+  model.trainedMessageIds[message.id] = label;
+  return true;
+}
+
+// Combines the most decisive token probabilities (Graham/Robinson style). Returns null until the
+// model has seen enough of both classes to say anything useful.
+function classifySpamProbability(model, message) {
+  if (model.spamCount < MIN_SPAM_MODEL_MESSAGES || model.hamCount < MIN_SPAM_MODEL_MESSAGES) return null;
+
+  const tokenProbabilities = tokenizeMessage(message)
+    .filter(token => model.tokens[token])
+    .map(token => {
+      const [spamSeen, hamSeen] = model.tokens[token];
+      const spamFrequency = spamSeen / model.spamCount;
+      const hamFrequency = hamSeen / model.hamCount;
+      const probability = spamFrequency / (spamFrequency + hamFrequency);
+      // Rarely seen tokens are pulled towards 0.5 so a single message can't decide the verdict
+      const seen = spamSeen + hamSeen;
+      return Math.min(0.99, Math.max(0.01, (0.5 + seen * probability) / (1 + seen)));
+    })
+    .sort((a, b) => Math.abs(b - 0.5) - Math.abs(a - 0.5))
+    .slice(0, SPAM_MODEL_DECISIVE_TOKENS);
+  if (!tokenProbabilities.length) return null;
+
+  const logOdds = tokenProbabilities.reduce((sum, p) => sum + Math.log(p / (1 - p)), 0);
+  return 1 / (1 + Math.exp(-logOdds));
+}
+
+// Learns from ExtensionSpam changes the user made in Gmail: adding the label trains spam,
+// removing it trains ham unless the message was moved to Gmail's own Spam or the Trash.
+async function trainSpamModelFromLabelChanges(labelChanges) {
+  const spamLabelId = findLabelIdByName(SPAM_LABEL_NAME);
+  if (!spamLabelId) return;
+  const verdicts = new Map(); // messageId -> isSpam, the last change wins
+  labelChanges
+    .filter(change => change.labelId === spamLabelId)
+    .forEach(change => verdicts.set(change.messageId, change.change === 'added'));
+  if (verdicts.size === 0) return;
+
+  const model = await loadSpamModel();
+  const messages = await batchGetMessages([...verdicts.keys()]);
+  let trained = 0;
+  for (const message of messages) {
+    if (!message?.payload?.headers) continue;
+    const isSpamMessage = verdicts.get(message.id);
+    const labelIds = message.labelIds || [];
+    if (!isSpamMessage && (labelIds.includes('SPAM') || labelIds.includes('TRASH'))) continue;
+    if (trainSpamModelMessage(model, message, isSpamMessage)) trained++;
+  }
+  await saveSpamModel(model);
+  console.log(`Spam classifier trained on ${trained} message(s) from ${SPAM_LABEL_NAME} changes.`);
+}
+
+async function trainSpamModelFromLabel(labelId, messageCount, isSpamMessage) {
+  const count = Math.min(Math.max(parseInt(messageCount) || DEFAULT_TRAINING_MESSAGE_COUNT, 1), MAX_TRAINING_MESSAGE_COUNT);
+  const messageIds = [];
+  let pageToken = null;
+  do {
+    const params = new URLSearchParams({ labelIds: labelId, maxResults: String(Math.min(100, count - messageIds.length)) });
+    if (pageToken) params.set('pageToken', pageToken);
+    const data = await fetchGmailApi(`/messages?${params}`);
+    (data?.messages || []).forEach(message => messageIds.push(message.id));
+    pageToken = data?.nextPageToken;
+  } while (pageToken && messageIds.length < count);
+
+  const model = await loadSpamModel();
+  let trained = 0;
+  const messages = await batchGetMessages(messageIds.slice(0, count));
+  for (const message of messages) {
+    if (message?.payload?.headers && trainSpamModelMessage(model, message, isSpamMessage)) trained++;
+  }
+  await saveSpamModel(model);
+  console.log(`Spam classifier trained on ${trained} message(s) from label ${gmailLabels[labelId] || labelId}.`);
+  return { scanned: messageIds.length, trained, stats: getSpamModelStats(model) };
+}
+
+// --- Trusted Senders ---
+// Mail from trusted addresses and domains skips spam scoring entirely. Besides the lists edited in
+// the Spam Detection tab, the recipients of our own sent mail can be trusted automatically; that
+// list lives in chrome.storage.local under 'repliedContacts' and is refreshed once a day.
+
+async function loadRepliedContacts() {
+  if (!repliedContacts) {
+    const { repliedContacts: storedContacts } = await chrome.storage.local.get('repliedContacts');
+    repliedContacts = storedContacts || { addresses: [], refreshedAt: null };
+  }
+  return repliedContacts;
+}
+
+async function refreshRepliedContacts() {
+  const profile = await fetchGmailApi('/profile');
+  const ownAddress = (profile?.emailAddress || '').toLowerCase();
+  const messageIds = [];
+  let pageToken = null;
+  do {
+    const params = new URLSearchParams({ q: REPLIED_CONTACTS_QUERY, maxResults: '100' });
+    if (pageToken) params.set('pageToken', pageToken);
+    const data = await fetchGmailApi(`/messages?${params}`);
+    (data?.messages || []).forEach(message => messageIds.push(message.id));
+    pageToken = data?.nextPageToken;
+  } while (pageToken && messageIds.length < MAX_REPLIED_CONTACTS_MESSAGES);
+
+  const addresses = new Set();
+  const messages = await batchGetMessages(messageIds.slice(0, MAX_REPLIED_CONTACTS_MESSAGES), 'metadata');
+  messages.forEach(message => {
+    ['To', 'Cc'].flatMap(name => getHeaderValues(message, name)).flatMap(extractEmailAddresses)
+      .forEach(address => { if (address !== ownAddress) addresses.add(address); });
+  });
+  repliedContacts = { addresses: [...addresses].sort(), refreshedAt: new Date().toISOString() };
+  await chrome.storage.local.set({ repliedContacts });
+  console.log(`Trusted ${repliedContacts.addresses.length} addresses from sent mail.`);
+  return repliedContacts;
+}
+
+async function refreshRepliedContactsIfStale() {
+  if (!userSettings.autoTrustRepliedSenders) return;
+  const contacts = await loadRepliedContacts();
+  if (contacts.refreshedAt && Date.now() - new Date(contacts.refreshedAt).getTime() < REPLIED_CONTACTS_REFRESH_MS) return;
+  try {
+    await refreshRepliedContacts();
+  } catch (error) {
+    console.error('Error refreshing trusted addresses from sent mail:', error);
+  }
+}
+
+// Returns why the sender is trusted, or null. A trusted From address that fails SPF/DKIM/DMARC
+// is likely forged, so it is not trusted.
+function getTrustedSenderReason(message, senderAddress) {
+  if (!senderAddress) return null;
+  const senderDomain = getAddressDomain(senderAddress);
+  let reason = null;
+  if ((userSettings.trustedSenders || []).some(address => address.toLowerCase() === senderAddress)) {
+    reason = `Trusted sender ${senderAddress}`;
+  } else if ((userSettings.trustedDomains || []).some(domain => isSameOrSubdomain(senderDomain, domain))) {
+    reason = `Trusted domain ${senderDomain}`;
+  } else if (userSettings.autoTrustRepliedSenders && repliedContacts?.addresses.includes(senderAddress)) {
+    reason = `Previously sent mail to ${senderAddress}`;
+  }
+  if (reason && checkAuthenticationFailure(message, senderDomain)) return null;
+  return reason;
+}
+
+// --- Phishing Links ---
+// Links in the body are checked for tell-tale phishing tricks. Each kind of finding adds its
+// PHISHING_FINDING_WEIGHTS weight once; at PHISHING_THRESHOLD the message gets the Phishing label
+// and a high-priority notification instead of going through spam scoring and the rules.
+
+const LINK_TEXT_DOMAIN_REGEX = /^(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?:[/:?#]\S*)?$/i;
+const IP_ADDRESS_HOST_REGEX = /^(?:\d{1,3}(?:\.\d{1,3}){3}|\[[0-9a-f:.]+\])$/i;
+
+// Anchors from the HTML body as { href, text }; plain-text mail only has bare URLs.
+function extractLinks(fields) {
+  const { html } = extractMessageContent(fields.message);
+  if (!html) {
+    return (fields.body.match(/https?:\/\/[^\s<>"]+/gi) || []).slice(0, MAX_ANALYZED_LINKS).map(href => ({ href, text: '' }));
+  }
+  const anchorRegex = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>([\s\S]*?)<\/a>/gi;
+  return [...html.matchAll(anchorRegex)].slice(0, MAX_ANALYZED_LINKS).map(match => ({
+    href: decodeHtmlEntities((match[1] ?? match[2] ?? match[3]).trim()),
+    text: htmlToText(match[4])
+  }));
+}
+
+// Lowercased host of an http(s) link, or null for mailto:, relative and malformed links.
+function getLinkHost(href) {
+  try {
+    const url = new URL(href);
+    return ['http:', 'https:'].includes(url.protocol) ? url.hostname.toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Collapses characters that look alike, so "paypa1.com" and "rnicrosoft.com" compare equal to
+// the domains they imitate.
+function getHomoglyphSkeleton(domain) {
+  return domain.replace(/rn/g, 'm').replace(/vv/g, 'w').replace(/0/g, 'o').replace(/[1i|]/g, 'l').replace(/3/g, 'e').replace(/5/g, 's');
+}
+
+function checkLookalikeDomain(host, brandDomains) {
+  const baseDomain = getBaseDomain(host);
+  const skeleton = getHomoglyphSkeleton(baseDomain);
+  return brandDomains.find(domain => domain !== baseDomain && getHomoglyphSkeleton(getBaseDomain(domain)) === skeleton) || null;
+}
+
+// Returns { score, phishing, findings: [{ finding, weight, detail }] }, plus 'trusted' (the reason)
+// when a trusted sender skipped the analysis.
+function analyzePhishingLinks(message) {
+  const result = { score: 0, phishing: false, findings: [] };
+  if (!userSettings.enablePhishingDetection) return result;
+
+  const fields = getMessageFields(message);
+  const trustedReason = getTrustedSenderReason(message, getSenderAddress(fields.sender).toLowerCase());
+  if (trustedReason) return { ...result, trusted: trustedReason };
+
+  const addFinding = (finding, detail) => {
+    if (result.findings.some(existing => existing.finding === finding)) return;
+    result.findings.push({ finding, weight: PHISHING_FINDING_WEIGHTS[finding], detail });
+  };
+  const brandDomains = (userSettings.protectedBrands || []).flatMap(brand => brand.domains || []).map(domain => domain.toLowerCase());
+  const knownBadDomains = userSettings.phishingDomains || [];
+
+  for (const link of extractLinks(fields)) {
+    const host = getLinkHost(link.href);
+    if (!host) continue;
+
+    const knownBadDomain = knownBadDomains.find(domain => isSameOrSubdomain(host, domain));
+    if (knownBadDomain) addFinding('knownBadDomain', `Link to known phishing domain ${knownBadDomain}`);
+    if (IP_ADDRESS_HOST_REGEX.test(host)) addFinding('ipAddressUrl', `Link to IP address ${host}`);
+    if (host.split('.').some(label => label.startsWith('xn--'))) addFinding('punycodeDomain', `Link to internationalized domain ${host}`);
+    const imitatedDomain = checkLookalikeDomain(host, brandDomains);
+    if (imitatedDomain) addFinding('lookalikeDomain', `Link to ${host}, which imitates ${imitatedDomain}`);
+    if (DEFAULT_URL_SHORTENERS.some(domain => isSameOrSubdomain(host, domain))) addFinding('urlShortener', `Shortened link via ${host}`);
+
+    // Link text that is itself a domain must agree with where the link goes
+    const textDomain = link.text.trim().match(LINK_TEXT_DOMAIN_REGEX)?.[1].toLowerCase();
+    if (textDomain && getBaseDomain(textDomain) !== getBaseDomain(host)) {
+      const detail = `Link shows ${textDomain} but goes to ${host}`;
+      if (brandDomains.some(domain => isSameOrSubdomain(textDomain, domain))) {
+        addFinding('brandLinkMismatch', detail);
+      } else {
+        addFinding('mismatchedLink', detail);
+      }
+    }
+  }
+
+  result.score = result.findings.reduce((total, finding) => total + finding.weight, 0);
+  result.phishing = result.score >= PHISHING_THRESHOLD;
+  if (result.phishing) {
+    console.log(`Phishing score ${result.score} for "${fields.subject}": ${result.findings.map(f => f.finding).join(', ')}`);
+  }
+  return result;
+}
+
+function notifyPhishing(message, phishing) {
+  const fields = getMessageFields(message);
+  chrome.notifications.create(`phishing_${message.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Possible Phishing Email',
+    message: `"${fields.subject}" from ${fields.sender}: ${phishing.findings.map(finding => finding.detail).join('; ')}`,
+    buttons: [{ title: 'Open in Gmail' }],
+    priority: 2,
+    requireInteraction: true
+  });
+}
+
+// --- False Positive Feedback ---
+// When the user removes ExtensionSpam from a message the extension flagged, the message is kept in
+// chrome.storage.local under 'falsePositives' together with the signals behind the verdict, and the
+// Spam Detection tab offers to trust the sender or lower the weight of the keywords involved.
+
+async function recordFalsePositives(labelChanges) {
+  const spamLabelId = findLabelIdByName(SPAM_LABEL_NAME);
+  if (!spamLabelId) return;
+  const lastChanges = new Map(); // messageId -> 'added'|'removed', the last change wins
+  labelChanges
+    .filter(change => change.labelId === spamLabelId)
+    .forEach(change => lastChanges.set(change.messageId, change.change));
+  const unspammedIds = [...lastChanges].filter(([, change]) => change === 'removed').map(([messageId]) => messageId);
+  if (unspammedIds.length === 0) return;
+
+  await activityLogWriteChain;
+  const { activityLog = [], falsePositives = [] } = await chrome.storage.local.get(['activityLog', 'falsePositives']);
+  const newFalsePositives = [];
+  unspammedIds.forEach(messageId => {
+    // Only mail the extension itself flagged as spam counts
+    const spamEntry = activityLog.slice().reverse()
+      .find(entry => entry.messageId === messageId && entry.spam && !entry.dryRun && !entry.undone);
+    if (!spamEntry || falsePositives.some(falsePositive => falsePositive.messageId === messageId)) return;
+    const signals = spamEntry.spamScore?.signals || [];
+    newFalsePositives.push({
+      id: `fp_${Date.now()}_${messageId}`,
+      messageId,
+      subject: spamEntry.subject,
+      sender: spamEntry.sender,
+      senderAddress: getSenderAddress(spamEntry.sender).toLowerCase(),
+      score: spamEntry.spamScore?.score ?? null,
+      signals,
+      keywords: [...new Set(signals.filter(signal => signal.keyword).map(signal => signal.keyword))],
+      detectedAt: new Date().toISOString(),
+      status: 'open' // open, trustedSender, loweredKeywords, dismissed
+    });
+  });
+  if (newFalsePositives.length === 0) return;
+
+  falsePositives.push(...newFalsePositives);
+  await chrome.storage.local.set({ falsePositives: falsePositives.slice(-MAX_TRACKED_FALSE_POSITIVES) });
+  console.log(`Recorded ${newFalsePositives.length} spam false positive(s).`);
+  notifyExtensionPages({ action: 'refreshFalsePositives' });
+}
+
+// Halves the keyword's effective weight, rounded down to a multiple of 0.5.
+function getLoweredKeywordWeight(keyword) {
+  const weights = { ...DEFAULT_SPAM_WEIGHTS, ...userSettings.spamWeights };
+  const currentWeight = userSettings.spamKeywordWeights[keyword] ?? weights.keyword;
+  return Math.floor(currentWeight) / 2;
+}
+
+// resolution: 'trustSender', 'lowerKeywords' or 'dismiss'.
+async function resolveFalsePositive(falsePositiveId, resolution) {
+  const { falsePositives = [] } = await chrome.storage.local.get('falsePositives');
+  const falsePositive = falsePositives.find(item => item.id === falsePositiveId);
+  if (!falsePositive) return null;
+
+  if (resolution === 'trustSender' && falsePositive.senderAddress) {
+    if (!userSettings.trustedSenders.includes(falsePositive.senderAddress)) {
+      userSettings.trustedSenders.push(falsePositive.senderAddress);
+    }
+    await saveSettings();
+    falsePositive.status = 'trustedSender';
+  } else if (resolution === 'lowerKeywords' && falsePositive.keywords.length > 0) {
+    falsePositive.keywords.forEach(keyword => {
+      userSettings.spamKeywordWeights[keyword] = getLoweredKeywordWeight(keyword);
+    });
+    await saveSettings();
+    falsePositive.status = 'loweredKeywords';
+  } else {
+    falsePositive.status = 'dismissed';
+  }
+  falsePositive.resolvedAt = new Date().toISOString();
+  await chrome.storage.local.set({ falsePositives });
+  return falsePositive;
+}
+
+function countLinks(fields) {
+  const { html } = extractMessageContent(fields.message);
+  if (html) return (html.match(/<a\s[^>]*href\s*=/gi) || []).length;
+  return (fields.body.match(/https?:\/\/[^\s<>"]+/gi) || []).length;
+}
+
+// Share of upper-case letters in the subject; null when it is too short to judge.
+function getCapsRatio(subject) {
+  const letters = subject.replace(/[^A-Za-z]/g, '');
+  if (letters.length < CAPS_RATIO_MIN_LETTERS) return null;
+  return letters.replace(/[^A-Z]/g, '').length / letters.length;
+}
+
+// Scores a message against every spam heuristic. Each signal that fires contributes its configured
+// weight; the total is compared with the suspicious/spam thresholds to reach a verdict.
+// Returns { score, verdict: 'clean'|'suspicious'|'spam', signals: [{ signal, weight, detail }] },
+// plus 'trusted' (the reason) when a trusted sender skipped scoring.
+function scoreSpam(message) {
+  const result = { score: 0, verdict: 'clean', signals: [] };
+  if (!userSettings.enableSpamDetection) return result;
+
+  const fields = getMessageFields(message);
+  const trustedReason = getTrustedSenderReason(message, getSenderAddress(fields.sender).toLowerCase());
+  if (trustedReason) return { ...result, trusted: trustedReason };
+
+  const weights = { ...DEFAULT_SPAM_WEIGHTS, ...userSettings.spamWeights };
+  // Extra properties (e.g. the keyword) are kept on the signal for false-positive feedback
+  const addSignal = (signal, detail, { weight = weights[signal], scale = 1, ...extra } = {}) => {
+    const scaledWeight = Math.round((weight || 0) * scale * 10) / 10;
+    if (!scaledWeight) return; // A weight of 0 disables the signal
+    result.signals.push({ signal, weight: scaledWeight, detail, ...extra });
+  };
+
+  const subject = fields.subject.toLowerCase();
+  const senderHeader = fields.sender.toLowerCase();
+  const body = fields.body.toLowerCase();
+  const senderDomain = senderHeader.substring(senderHeader.lastIndexOf('@') + 1).replace('>', '');
+
+  // Keywords: every distinct keyword found adds its weight once; spamKeywordWeights overrides
+  // the weight of individual keywords
+  const keywordWeights = userSettings.spamKeywordWeights || {};
+  for (const keyword of userSettings.spamKeywords) {
+    const lowerKeyword = keyword.toLowerCase();
+    const keywordSignal = { weight: keywordWeights[lowerKeyword] ?? weights.keyword, keyword: lowerKeyword };
+    if (subject.includes(lowerKeyword)) {
+      addSignal('keyword', `"${keyword}" in subject`, keywordSignal);
+    } else if (body.includes(lowerKeyword)) {
+      addSignal('keyword', `"${keyword}" in body`, keywordSignal);
+    }
+  }
+
+  // Suspicious sender domain (simple suffix check, can be expanded)
+  const listedDomain = userSettings.spamSenderDomains.find(domain => senderDomain.endsWith(domain.toLowerCase()));
+  if (listedDomain) addSignal('senderDomain', `Sender domain matches ${listedDomain}`);
+
+  // Excessive punctuation in subject
+  if (/[!]{2,}|[?]{2,}/.test(subject)) addSignal('punctuation', 'Repeated !! or ?? in subject');
+
+  // Sender has no proper TLD (e.g. just "user@localhost"). Naive, a proper TLD list would be better.
+  if (senderDomain && !senderDomain.includes('.') && senderDomain !== 'localhost') {
+    addSignal('suspiciousTld', `Sender domain "${senderDomain}" has no TLD`);
+  }
+
+  const capsRatio = getCapsRatio(fields.subject);
+  if (capsRatio !== null && capsRatio >= CAPS_RATIO_THRESHOLD) {
+    addSignal('capsRatio', `${Math.round(capsRatio * 100)}% of subject letters are capitals`);
+  }
+
+  const linkCount = countLinks(fields);
+  if (linkCount >= LINK_COUNT_THRESHOLD) addSignal('linkCount', `${linkCount} links in body`);
+
+  // Sender authentication and impersonation signals, each switchable in the Spam Detection tab
+  const senderAddressDomain = getAddressDomain(getSenderAddress(fields.sender));
+  const signals = userSettings.spamSignals || DEFAULT_SPAM_SIGNALS;
+  const authFailure = signals.authFailure && checkAuthenticationFailure(message, senderAddressDomain);
+  if (authFailure) addSignal('authFailure', authFailure);
+  const spoofing = signals.displayNameSpoofing && checkDisplayNameSpoofing(fields.sender, senderAddressDomain);
+  if (spoofing) addSignal('displayNameSpoofing', spoofing);
+  const replyToMismatch = signals.replyToMismatch && checkReplyToMismatch(message, senderAddressDomain);
+  if (replyToMismatch) addSignal('replyToMismatch', replyToMismatch);
+
+  // Learned classifier: adds up to its full weight as the spam probability rises above 50%
+  const spamProbability = spamModel ? classifySpamProbability(spamModel, message) : null;
+  if (spamProbability > 0.5) {
+    addSignal('bayes', `Classifier spam probability ${Math.round(spamProbability * 100)}%`, { scale: (spamProbability - 0.5) * 2 });
+  }
+
+  const thresholds = { ...DEFAULT_SPAM_THRESHOLDS, ...userSettings.spamThresholds };
+  result.score = result.signals.reduce((total, signal) => total + signal.weight, 0);
+  if (result.score >= thresholds.spam) {
+    result.verdict = 'spam';
+  } else if (result.score >= thresholds.suspicious) {
+    result.verdict = 'suspicious';
+  }
+  if (result.verdict !== 'clean') {
+    console.log(`Spam score ${result.score} (${result.verdict}) for "${fields.subject}": ${result.signals.map(s => s.signal).join(', ')}`);
+  }
+  return result;
+}
+
+// Decides what should happen to a message without changing anything.
+function planMessageActions(fullMessage, gmailQueryMatches = null) {
+  // 1. Phishing links: flagged with their own label and kept out of the rules
+  const phishing = analyzePhishingLinks(fullMessage);
+  if (phishing.phishing) {
+    console.log(`Message ${fullMessage.id} marked as phishing.`);
+    return { message: fullMessage, spam: false, spamScore: null, phishing, matchedRules: [], actions: [{ type: 'addLabel', labelName: PHISHING_LABEL_NAME }] };
+  }
+
+  const spamScore = scoreSpam(fullMessage);
+  const plan = { message: fullMessage, spam: spamScore.verdict === 'spam', spamScore, phishing: null, matchedRules: [], actions: [] };
+
+  // 2. Spam Detection: spam is quarantined, suspicious mail is only flagged and still goes through the rules
+  if (plan.spam) {
+    plan.actions = [{ type: 'addLabel', labelName: SPAM_LABEL_NAME }, { type: 'markRead' }];
+    console.log(`Message ${fullMessage.id} marked as spam.`);
+    return plan;
+  }
+  if (spamScore.verdict === 'suspicious') {
+    plan.actions.push({ type: 'addLabel', labelName: SUSPICIOUS_LABEL_NAME });
+  }
+
+  // 3. Apply User-Defined Rules: every matching rule contributes its actions, in priority
+  // order, until one flagged stopProcessing matches.
+  for (const rule of getRulesInPriorityOrder()) {
+    if (messageMatchesRule(fullMessage, rule, gmailQueryMatches)) {
+      const ruleActions = rule.actions || [];
+      plan.actions.push(...ruleActions);
+      plan.matchedRules.push(rule);
+      console.log(`Rule ${rule.id} matched for message ${fullMessage.id}. Actions: ${describeActions(ruleActions)}`);
+      if (rule.stopProcessing) break;
+    }
+  }
+  return plan;
+}
+
+// Fetches the messages with batched requests, plans each one and applies all label changes
+// with grouped batchModify calls. Returns the ids that were fetched and fully acted on.
+async function processMessages(messageIds, runId = generateRunId('processing')) {
+  await loadSpamModel();
+  await loadRepliedContacts();
+  const fullMessages = (await batchGetMessages(messageIds)).filter(message => message?.payload?.headers);
+  const gmailQueryMatches = await findGmailQueryMatches(fullMessages, userSettings.rules);
+  const plans = fullMessages
+    .map(message => planMessageActions(message, gmailQueryMatches))
+    .filter(plan => plan.actions.length > 0);
+  const activityFor = plan => ({ message: plan.message, runId, source: 'processing', rules: plan.matchedRules, spam: plan.spam, spamScore: plan.spamScore, phishing: plan.phishing, actions: plan.actions });
+
+  // Mail no rule matched is mined for patterns; suspicious, spam and phishing mail is left out.
+  const plansById = new Map(plans.map(plan => [plan.message.id, plan]));
+  const unmatchedObservations = fullMessages
+    .filter(message => !plansById.has(message.id) || (plansById.get(message.id).matchedRules.length === 0 && plansById.get(message.id).spamScore?.verdict === 'clean'))
+    .map(message => ({ message, labelIds: [], source: null }));
+  await recordNewsletters(fullMessages.filter(message => !plansById.get(message.id)?.spam && !plansById.get(message.id)?.phishing));
+
+  if (userSettings.dryRun) {
+    for (const plan of plans) {
+      console.log(`[Dry run] Would apply to message ${plan.message.id}: ${describeActions(plan.actions)}`);
+      await recordActivity({ ...activityFor(plan), dryRun: true });
+    }
+    if (userSettings.enablePatternDetection) await analyzeForPatterns(unmatchedObservations);
+    return new Set(fullMessages.map(message => message.id));
+  }
+
+  for (const plan of plans) {
+    Object.assign(plan, await resolveRuleActions(plan.actions));
+  }
+  const appliedIds = await modifyMessagesInBatches(plans.map(plan => ({
+    messageId: plan.message.id,
+    addLabelIds: plan.addLabelIds,
+    removeLabelIds: plan.removeLabelIds
+  })));
+
+  const labeledObservations = [];
+  for (const plan of plans) {
+    if (!appliedIds.has(plan.message.id)) continue;
+    await recordActivity({ ...activityFor(plan), addLabelIds: plan.addLabelIds, removeLabelIds: plan.removeLabelIds });
+    if (plan.phishing) notifyPhishing(plan.message, plan.phishing);
+    if (plan.matchedRules.length > 0 && !plan.spam) {
+      labeledObservations.push({ message: plan.message, labelIds: plan.addLabelIds, source: 'rule' });
+    }
+  }
+
+  // 3. Pattern Detection (after rules are applied)
+  if (userSettings.enablePatternDetection) {
+    await analyzeForPatterns([...labeledObservations, ...unmatchedObservations]);
+  }
+  // Messages that couldn't be fetched, or whose changes failed, are left for a retry
+  return new Set(fullMessages.filter(message => !plansById.has(message.id) || appliedIds.has(message.id)).map(message => message.id));
+}
+
+// --- Pattern Detection ---
+// Processed mail is grouped into clusters that could become a label: mail no rule matched is
+// clustered by List-Id, or by sender address and subject template for non-list mail, and labels
+// are clustered per sender domain, both when a rule applied them and when the user applied them
+// in Gmail. Clusters live in chrome.storage.local under 'patternClusters'; once one is large and
+// consistent enough it becomes a suggestion carrying a confidence score and a few sample messages.
+//
+// Suggestions are 'pending' until decided ('approved', 'rejected', 'failed_creation'), can be
+// edited while pending, 'snoozed' until snoozedUntil, and become 'expired' when left pending for
+// SUGGESTION_EXPIRY_DAYS. Decided suggestions stay as history and can be reopened.
+
+function getListIdentifier(message) {
+  const value = getHeaderValues(message, 'List-Id')[0] || '';
+  const angleMatch = value.match(/<([^>]+)>/);
+  const id = (angleMatch ? angleMatch[1] : value).trim().toLowerCase();
+  if (!id) return null;
+  const name = (angleMatch ? value.slice(0, value.indexOf('<')) : '').replace(/["']/g, '').trim();
+  return { id, name: name || id.split('.')[0] };
+}
+
+// "Re: Your order #1234 has shipped" -> "your order {n} has shipped". Words containing digits
+// (ids, dates, amounts) become placeholders. Returns null when too little text is left.
+function getSubjectTemplate(subject) {
+  const template = (subject || '')
+    .replace(SUBJECT_REPLY_PREFIX_REGEX, '')
+    .replace(/\S*\d\S*/g, SUBJECT_TEMPLATE_PLACEHOLDER)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+  const words = template.split(' ').filter(word => /[a-z]{2,}/.test(word));
+  return words.length >= MIN_SUBJECT_TEMPLATE_WORDS ? template : null;
+}
+
+function subjectTemplateToRegex(template) {
+  const body = template.split(SUBJECT_TEMPLATE_PLACEHOLDER)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'))
+    .join('\\S*\\d\\S*');
+  return `^${SUBJECT_REPLY_PREFIX_REGEX.source.slice(1)}${body}$`;
+}
+
+// Everything needed to turn a cluster into a suggestion: its storage key, a label name, the rule
+// condition and a human readable reason.
+function describePatternCluster(kind, message, labelId = null) {
+  const sender = message.payload.headers.find(h => h.name.toLowerCase() === 'from')?.value || '';
+  const senderAddress = getSenderAddress(sender);
+  const senderDomain = getAddressDomain(senderAddress);
+  switch (kind) {
+    case 'listId': {
+      const list = getListIdentifier(message);
+      return list && {
+        signature: `listId:${list.id}`,
+        name: list.name,
+        condition: { op: 'and', conditions: [{ type: 'header', header: 'List-Id', operator: 'contains', value: `<${list.id}>` }] },
+        reason: `Mailing list ${list.id}`
+      };
+    }
+    case 'sender':
+      return senderAddress && {
+        signature: `sender:${senderAddress}`,
+        name: getDisplayName(sender) || senderDomain,
+        condition: { op: 'and', conditions: [{ type: 'sender', operator: 'equals', value: senderAddress }] },
+        reason: `Mail from ${senderAddress}`
+      };
+    case 'subject': {
+      const subject = message.payload.headers.find(h => h.name.toLowerCase() === 'subject')?.value || '';
+      const template = getSubjectTemplate(subject);
+      if (!template) return null;
+      const name = template.replace(new RegExp(`\\s*${SUBJECT_TEMPLATE_PLACEHOLDER.replace(/[{}]/g, '\\$&')}\\s*`, 'g'), ' ').trim();
+      return {
+        signature: `subject:${template}`,
+        name: (name.charAt(0).toUpperCase() + name.slice(1)).slice(0, MAX_SUGGESTED_NAME_LENGTH),
+        condition: { op: 'and', conditions: [{ type: 'subject', operator: 'regex', value: subjectTemplateToRegex(template) }] },
+        reason: `Subjects like "${template}"`
+      };
+    }
+    case 'label':
+    case 'manualLabel': {
+      if (!senderDomain || !gmailLabels[labelId]) return null;
+      const labelName = gmailLabels[labelId];
+      return {
+        signature: `${kind}:${labelId}:${senderDomain}`,
+        // A label the user applies by hand is suggested as a rule for that label; a rule's label
+        // is split into a more specific sub-label per sender domain.
+        name: kind === 'manualLabel' ? labelName : `${labelName} - ${senderDomain}`,
+        condition: { op: 'and', conditions: [{ type: 'sender', operator: 'domainEquals', value: senderDomain }] },
+        reason: kind === 'manualLabel'
+          ? `You labeled mail from ${senderDomain} as "${labelName}"`
+          : `Mail from ${senderDomain} labeled "${labelName}" by a rule`,
+        basedOnDomain: senderDomain,
+        basedOnLabel: labelName,
+        basedOnLabelId: labelId
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+function getPatternSample(message) {
+  const fields = getMessageFields(message);
+  return {
+    id: message.id,
+    subject: fields.subject,
+    sender: fields.sender,
+    date: message.internalDate ? new Date(parseInt(message.internalDate)).toISOString() : null
+  };
+}
+
+// More mail raises confidence towards the kind's weight. Label clusters are also scaled by how
+// consistently that domain gets the label compared to the other labels it receives.
+function getPatternConfidence(cluster, clusters) {
+  let confidence = (cluster.count / (cluster.count + PATTERN_CONFIDENCE_PRIOR)) * (PATTERN_KIND_WEIGHTS[cluster.kind] || 0);
+  if (cluster.kind === 'label' || cluster.kind === 'manualLabel') {
+    const domainTotal = Object.values(clusters)
+      .filter(other => other.kind === cluster.kind && other.basedOnDomain === cluster.basedOnDomain)
+      .reduce((total, other) => total + other.count, 0);
+    confidence *= cluster.count / domainTotal;
+  }
+  return Math.round(confidence * 100) / 100;
+}
+
+function prunePatternClusters(clusters) {
+  const keys = Object.keys(clusters);
+  if (keys.length <= MAX_PATTERN_CLUSTERS) return clusters;
+  keys.sort((a, b) => clusters[b].lastSeen.localeCompare(clusters[a].lastSeen));
+  return Object.fromEntries(keys.slice(0, MAX_PATTERN_CLUSTERS).map(key => [key, clusters[key]]));
+}
+
+// observations: [{ message, labelIds, source }] where source is 'rule' or 'manual' for labeled
+// mail and null for mail no rule matched.
+async function analyzeForPatterns(observations) {
+  if (observations.length === 0) return;
+  let { patternClusters = {} } = await chrome.storage.local.get('patternClusters');
+  const now = new Date().toISOString();
+  const updatedKeys = new Set();
+
+  const addToCluster = (kind, message, labelId) => {
+    const description = describePatternCluster(kind, message, labelId);
+    if (!description) return;
+    const cluster = patternClusters[description.signature] ||= { ...description, kind, count: 0, messageIds: [], samples: [], firstSeen: now };
+    if (cluster.messageIds.includes(message.id)) return; // Already counted, e.g. reprocessed by a backfill
+    cluster.count++;
+    cluster.messageIds = [...cluster.messageIds, message.id].slice(-MAX_PATTERN_CLUSTER_MESSAGE_IDS);
+    cluster.samples = [getPatternSample(message), ...cluster.samples].slice(0, MAX_PATTERN_SAMPLES);
+    cluster.lastSeen = now;
+    updatedKeys.add(description.signature);
+  };
+
+  for (const { message, labelIds = [], source } of observations) {
+    if (source) {
+      labelIds
+        .filter(id => id.startsWith('Label_') && ![SPAM_LABEL_NAME, SUSPICIOUS_LABEL_NAME, PHISHING_LABEL_NAME].includes(gmailLabels[id]))
+        .forEach(labelId => addToCluster(source === 'manual' ? 'manualLabel' : 'label', message, labelId));
+      continue;
+    }
+    const senderAddress = getSenderAddress(message.payload.headers.find(h => h.name.toLowerCase() === 'from')?.value || '');
+    if (repliedContacts?.addresses.includes(senderAddress)) continue; // Personal correspondence, not a pattern
+    if (getListIdentifier(message)) {
+      addToCluster('listId', message); // The list already groups its issues, whatever their subjects
+    } else {
+      addToCluster('sender', message);
+      addToCluster('subject', message);
+    }
+  }
+
+  patternClusters = prunePatternClusters(patternClusters);
+  const readyClusters = [...updatedKeys]
+    .map(key => patternClusters[key])
+    .filter(cluster => cluster && !cluster.suggestedAt && cluster.count >= MIN_EMAILS_FOR_PATTERN)
+    .map(cluster => ({ cluster, confidence: getPatternConfidence(cluster, patternClusters) }))
+    .filter(({ confidence }) => confidence >= MIN_SUGGESTION_CONFIDENCE);
+  for (const { cluster, confidence } of readyClusters) {
+    if (await createPatternSuggestion(cluster, confidence)) cluster.suggestedAt = now;
+  }
+  await chrome.storage.local.set({ patternClusters });
+}
+
+// Learns from labels the user added in Gmail; labelChanges have already been stripped of our own changes.
+async function analyzeManualLabels(labelChanges) {
+  const labelIdsByMessage = new Map();
+  labelChanges
+    .filter(change => change.change === 'added' && change.labelId.startsWith('Label_'))
+    .forEach(change => labelIdsByMessage.set(change.messageId, [...(labelIdsByMessage.get(change.messageId) || []), change.labelId]));
+  if (labelIdsByMessage.size === 0) return;
+  const messages = await batchGetMessages([...labelIdsByMessage.keys()], 'metadata');
+  await analyzeForPatterns(messages
+    .filter(message => message?.payload?.headers && !(message.labelIds || []).some(id => id === 'SPAM' || id === 'TRASH'))
+    .map(message => ({ message, labelIds: labelIdsByMessage.get(message.id), source: 'manual' })));
+}
+
+// Runs update(suggestedLabels) against the stored list and saves it, resolving to update's result.
+function updateSuggestedLabels(update) {
+  const result = suggestedLabelsWriteChain.then(async () => {
+    const { suggestedLabels = [] } = await chrome.storage.local.get('suggestedLabels');
+    const value = await update(suggestedLabels);
+    await chrome.storage.local.set({ suggestedLabels });
+    return value;
+  });
+  suggestedLabelsWriteChain = result.catch(error => console.error('Error updating suggestions:', error));
+  return result;
+}
+
+// Suggestions about the same mailing list, sender, subject template or (for label patterns) sender
+// domain are one decision, whatever label name they were suggested or renamed under.
+function getSuggestionDedupeKey(suggestion) {
+  const signature = suggestion.signature || `label:${suggestion.basedOnLabelId}:${suggestion.basedOnDomain}`; // Older suggestions
+  const [kind, ...rest] = signature.split(':');
+  if (kind === 'label' || kind === 'manualLabel') return `domain:${rest.slice(1).join(':')}`;
+  return `${kind}:${rest.join(':')}`;
+}
+
+function decideSuggestion(suggestion, status) {
+  suggestion.status = status;
+  suggestion.decidedAt = new Date().toISOString();
+  delete suggestion.snoozedUntil;
+}
+
+// Wakes snoozed suggestions that are due, expires stale pending ones and trims the history.
+// Mutates the list in place.
+function refreshSuggestionStatuses(suggestedLabels) {
+  const now = Date.now();
+  for (const suggestion of suggestedLabels) {
+    if (!suggestion.createdAt) suggestion.createdAt = new Date(now).toISOString(); // Older suggestions start their expiry now
+    if (suggestion.status === 'snoozed' && new Date(suggestion.snoozedUntil).getTime() <= now) {
+      suggestion.status = 'pending';
+      suggestion.createdAt = new Date(now).toISOString(); // A woken suggestion gets a fresh expiry period
+      delete suggestion.snoozedUntil;
+    } else if (suggestion.status === 'pending' && now - new Date(suggestion.createdAt).getTime() > SUGGESTION_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+      decideSuggestion(suggestion, 'expired');
+      console.log(`Suggestion expired: ${suggestion.name}`);
+    }
+  }
+  const decided = suggestedLabels.filter(suggestion => !['pending', 'snoozed'].includes(suggestion.status))
+    .sort((a, b) => (b.decidedAt || '').localeCompare(a.decidedAt || ''));
+  const dropped = new Set(decided.slice(MAX_DECIDED_SUGGESTIONS));
+  if (dropped.size) suggestedLabels.splice(0, suggestedLabels.length, ...suggestedLabels.filter(suggestion => !dropped.has(suggestion)));
+  return suggestedLabels;
+}
+
+// Applies the user's changes to a pending suggestion's label name and rule condition.
+function editSuggestion(suggestion, { name, condition }) {
+  if (!['pending', 'snoozed'].includes(suggestion.status)) return 'Only open suggestions can be edited.';
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'The label name cannot be empty.';
+    suggestion.name = name.trim();
+  }
+  if (condition !== undefined) {
+    const error = validateConditionTree(condition, 'condition');
+    if (error) return error;
+    suggestion.condition = condition;
+  }
+  suggestion.editedAt = new Date().toISOString();
+  return null;
+}
+
+function snoozeSuggestion(suggestion, days = DEFAULT_SUGGESTION_SNOOZE_DAYS) {
+  if (!['pending', 'snoozed'].includes(suggestion.status)) return 'Only open suggestions can be snoozed.';
+  const snoozeDays = Math.max(parseInt(days) || DEFAULT_SUGGESTION_SNOOZE_DAYS, 1);
+  suggestion.status = 'snoozed';
+  suggestion.snoozedUntil = new Date(Date.now() + snoozeDays * 24 * 60 * 60 * 1000).toISOString();
+  return null;
+}
+
+// Approved suggestions already created their label and rule, so only the others can be reopened.
+function reopenSuggestion(suggestion) {
+  if (suggestion.status === 'approved') return 'Approved suggestions cannot be reopened; edit or delete the rule instead.';
+  suggestion.status = 'pending';
+  suggestion.createdAt = new Date().toISOString();
+  delete suggestion.decidedAt;
+  delete suggestion.snoozedUntil;
+  return null;
+}
+
+// Returns true when a suggestion now exists for the cluster (new or already suggested).
+async function createPatternSuggestion(cluster, confidence) {
+  // A new sub-label is pointless if it already exists; manual label suggestions reuse their label.
+  const labelAlreadyExists = cluster.kind !== 'manualLabel' &&
+    Object.values(gmailLabels).some(name => name.toLowerCase() === cluster.name.toLowerCase());
+  if (labelAlreadyExists) return true;
+
+  const newSuggestion = {
+    id: null, // Assigned once it is known not to duplicate an existing suggestion
+    name: cluster.name,
+    kind: cluster.kind,
+    signature: cluster.signature,
+    reason: cluster.reason,
+    condition: cluster.condition,
+    confidence,
+    messageCount: cluster.count,
+    samples: cluster.samples,
+    ...(cluster.basedOnDomain && { basedOnDomain: cluster.basedOnDomain, basedOnLabel: cluster.basedOnLabel, basedOnLabelId: cluster.basedOnLabelId }),
+    createdAt: new Date().toISOString(),
+    status: 'pending'
+  };
+  const isNew = await updateSuggestedLabels(suggestedLabels => {
+    const dedupeKey = getSuggestionDedupeKey(newSuggestion);
+    if (suggestedLabels.some(suggestion => getSuggestionDedupeKey(suggestion) === dedupeKey)) return false;
+    newSuggestion.id = `sugg_${Date.now()}_${suggestedLabels.length}`;
+    suggestedLabels.push(newSuggestion);
+    return true;
+  });
+  if (!isNew) return true;
+  console.log(`New label suggestion: ${newSuggestion.name} (${newSuggestion.reason}, confidence ${confidence})`);
+
+  chrome.notifications.create(`suggestion_${newSuggestion.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'New Label Suggestion',
+    message: `Suggest labeling as "${newSuggestion.name}": ${newSuggestion.reason} (${cluster.count} messages, ${Math.round(confidence * 100)}% confidence)?`,
+    buttons: [{ title: 'Approve & Create' }, { title: 'Reject' }],
+    priority: 1,
+    requireInteraction: true // Keep notification until user interacts
+  });
+  notifyExtensionPages({ action: "refreshSuggestions" });
+  return true;
+}
+
+// Creates the suggested label and, when enabled, a rule for it. Mutates the suggestion's
+// status and returns the created rule (or null) so callers can backfill existing mail.
+async function approveSuggestion(suggestion) {
+  const newLabelId = await createLabelIfNeeded(suggestion.name);
+  if (!newLabelId) {
+    decideSuggestion(suggestion, 'failed_creation'); // Label creation failed
+    console.error(`Failed to create label for suggestion: ${suggestion.name}`);
+    return null;
+  }
+
+  decideSuggestion(suggestion, 'approved');
+  suggestion.createdLabelId = newLabelId;
+  console.log(`Suggestion approved and label "${suggestion.name}" created/found.`);
+  if (!userSettings.autoCreateLabels) return null; // Or a separate setting for auto-creating RULES from suggestions
+
+  const rule = {
+    id: generateRuleId(),
+    priority: getNextRulePriority(),
+    // Suggestions from before pattern clusters only carry the sender domain
+    condition: suggestion.condition || { op: 'and', conditions: [{ type: 'sender', value: `@${suggestion.basedOnDomain}` }] },
+    actions: [{ type: 'addLabel', labelId: newLabelId, labelName: suggestion.name }, { type: 'markRead' }]
+  };
+  userSettings.rules.push(rule);
+  await saveSettings();
+  suggestion.createdRuleId = rule.id;
+  console.log(`Rule auto-created for approved suggestion: ${suggestion.name}`);
+  return rule;
+}
+
+// Messages to options/popup pages fail when none are open; that's fine.
+function notifyExtensionPages(message) {
+  chrome.runtime.sendMessage(message).catch(() => {});
+}
+
+// --- Newsletters ---
+// Bulk mail is recognized by its List-Unsubscribe, List-Id or Precedence headers and tracked per
+// sender address in chrome.storage.local under 'newsletters'. The Newsletters tab shows volume and
+// read rate per sender, and can turn a sender into a rule that labels and/or archives its mail or
+// unsubscribe: by mail for mailto: links, or with the one-click POST of RFC 8058 when offered.
+
+function isBulkMessage(message) {
+  const precedence = (getHeaderValues(message, 'Precedence')[0] || '').trim().toLowerCase();
+  return getHeaderValues(message, 'List-Unsubscribe').length > 0 ||
+    getHeaderValues(message, 'List-Id').length > 0 ||
+    ['bulk', 'list', 'junk'].includes(precedence);
+}
+
+// Returns { mailto, url, oneClick }. One-click needs both the List-Unsubscribe-Post header and an https URL.
+function getUnsubscribeOptions(message) {
+  const links = [...getHeaderValues(message, 'List-Unsubscribe').join(',').matchAll(/<([^>]+)>/g)].map(match => match[1].trim());
+  const url = links.find(link => /^https:\/\//i.test(link)) || null;
+  const oneClick = /List-Unsubscribe=One-Click/i.test(getHeaderValues(message, 'List-Unsubscribe-Post').join(' '));
+  return {
+    mailto: links.find(link => /^mailto:/i.test(link)) || null,
+    url,
+    oneClick: oneClick && !!url
+  };
+}
+
+// Runs update(newsletters) against the stored map and saves it, resolving to update's result.
+function updateNewsletters(update) {
+  const result = newslettersWriteChain.then(async () => {
+    const { newsletters = {} } = await chrome.storage.local.get('newsletters');
+    const value = await update(newsletters);
+    const addresses = Object.keys(newsletters);
+    if (addresses.length > MAX_TRACKED_NEWSLETTERS) {
+      addresses.sort((a, b) => newsletters[b].lastSeen.localeCompare(newsletters[a].lastSeen))
+        .slice(MAX_TRACKED_NEWSLETTERS)
+        .forEach(address => delete newsletters[address]);
+    }
+    await chrome.storage.local.set({ newsletters });
+    return value;
+  });
+  newslettersWriteChain = result.catch(error => console.error('Error updating newsletters:', error));
+  return result;
+}
+
+async function recordNewsletters(messages) {
+  const bulkMessages = messages.filter(isBulkMessage);
+  if (bulkMessages.length === 0) return;
+  await updateNewsletters(newsletters => {
+    for (const message of bulkMessages) {
+      const from = message.payload.headers.find(h => h.name.toLowerCase() === 'from')?.value || '';
+      const address = getSenderAddress(from);
+      if (!address) continue;
+      const receivedAt = new Date(message.internalDate ? parseInt(message.internalDate) : Date.now()).toISOString();
+      const newsletter = newsletters[address] ||= { address, name: getDisplayName(from) || address, count: 0, messageIds: [], firstSeen: receivedAt, lastSeen: receivedAt };
+      if (newsletter.messageIds.includes(message.id)) continue; // Already counted, e.g. reprocessed by a backfill
+      newsletter.count++;
+      newsletter.messageIds = [...newsletter.messageIds, message.id].slice(-MAX_NEWSLETTER_MESSAGE_IDS);
+      if (receivedAt < newsletter.firstSeen) newsletter.firstSeen = receivedAt;
+      if (receivedAt > newsletter.lastSeen) newsletter.lastSeen = receivedAt;
+      newsletter.listId = getListIdentifier(message)?.id || newsletter.listId || null;
+      const unsubscribe = getUnsubscribeOptions(message);
+      if (unsubscribe.mailto || unsubscribe.url) newsletter.unsubscribe = unsubscribe; // Latest message wins
+    }
+  });
+}
+
+// Read rate is measured on each sender's most recent messages, so it reflects current habits.
+async function refreshNewsletterReadStats() {
+  const { newsletters = {} } = await chrome.storage.local.get('newsletters');
+  const tracked = Object.values(newsletters).sort((a, b) => b.count - a.count).slice(0, MAX_READ_STATS_NEWSLETTERS);
+  const messages = await batchGetMessages(tracked.flatMap(newsletter => newsletter.messageIds), 'minimal');
+  const labelIdsById = new Map(messages.map(message => [message.id, message.labelIds || []]));
+  const checkedAt = new Date().toISOString();
+  await updateNewsletters(stored => {
+    for (const { address, messageIds } of tracked) {
+      const newsletter = stored[address];
+      if (!newsletter) continue;
+      const checked = messageIds.filter(id => labelIdsById.has(id));
+      newsletter.readRate = checked.length ? checked.filter(id => !labelIdsById.get(id).includes('UNREAD')).length / checked.length : null;
+      newsletter.readRateCheckedAt = checkedAt;
+    }
+  });
+}
+
+// Creates or updates the sender's rule; its mail gets labelName and/or skips the inbox.
+async function setNewsletterRule(address, { labelName = null, archive = false }) {
+  const { newsletters = {} } = await chrome.storage.local.get('newsletters');
+  const newsletter = newsletters[address];
+  if (!newsletter) return { error: 'Newsletter not found.' };
+  const actions = [];
+  if (labelName && labelName.trim()) actions.push({ type: 'addLabel', labelName: labelName.trim() });
+  if (archive) actions.push({ type: 'archive' });
+  if (actions.length === 0) return { error: 'Choose a label, archiving or both.' };
+
+  let rule = userSettings.rules.find(existing => existing.id === newsletter.ruleId);
+  if (rule) {
+    rule.actions = actions;
+  } else {
+    rule = {
+      id: generateRuleId(),
+      priority: getNextRulePriority(),
+      condition: { op: 'and', conditions: [{ type: 'sender', operator: 'equals', value: address }] },
+      actions,
+      stopProcessing: false
+    };
+    userSettings.rules.push(rule);
+  }
+  await saveSettings();
+  await updateNewsletters(stored => {
+    if (stored[address]) stored[address].ruleId = rule.id;
+  });
+  await startBackfillJob(rule); // Existing mail from the sender gets the same treatment
+  console.log(`Newsletter rule for ${address}: ${describeActions(actions)}`);
+  return { rule };
+}
+
+function encodeBase64(text) {
+  return btoa(Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join(''));
+}
+
+function encodeBase64Url(text) {
+  return encodeBase64(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Sends the message a mailto: unsubscribe link describes (RFC 6068), from the user's own account.
+async function sendUnsubscribeMail(mailto) {
+  const link = new URL(mailto);
+  const to = decodeURIComponent(link.pathname);
+  if (!extractEmailAddresses(to).length) throw new Error(`Invalid unsubscribe address: ${mailto}`);
+  const stripLineBreaks = value => value.replace(/[\r\n]+/g, ' ');
+  const subject = stripLineBreaks(link.searchParams.get('subject') || 'unsubscribe');
+  const body = link.searchParams.get('body') || 'unsubscribe';
+  const raw = [
+    `To: ${stripLineBreaks(to)}`,
+    `Subject: =?UTF-8?B?${encodeBase64(subject)}?=`,
+    'Content-Type: text/plain; charset=UTF-8',
+    '',
+    body
+  ].join('\r\n');
+  await fetchGmailApi('/messages/send', 'POST', { raw: encodeBase64Url(raw) });
+}
+
+// Returns { method } once unsubscribed, or { method: 'link', url } when only a web page is offered,
+// which the options page opens because it usually asks for confirmation.
+async function unsubscribeNewsletter(address) {
+  const { newsletters = {} } = await chrome.storage.local.get('newsletters');
+  const options = newsletters[address]?.unsubscribe;
+  if (!options) return { error: 'This sender offers no unsubscribe link.' };
+
+  let method;
+  if (options.oneClick) {
+    let response;
+    try {
+      response = await fetch(options.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'List-Unsubscribe=One-Click'
+      });
+    } catch (error) {
+      return { error: `Could not reach ${new URL(options.url).hostname}: ${error.message}` };
+    }
+    if (!response.ok) return { error: `The unsubscribe request failed (status ${response.status}).` };
+    method = 'oneClick';
+  } else if (options.mailto) {
+    await sendUnsubscribeMail(options.mailto);
+    method = 'mailto';
+  } else {
+    return { method: 'link', url: options.url };
+  }
+
+  await updateNewsletters(stored => {
+    if (!stored[address]) return;
+    stored[address].unsubscribedAt = new Date().toISOString();
+    stored[address].unsubscribeMethod = method;
+  });
+  console.log(`Unsubscribed from ${address} (${method}).`);
+  return { method };
+}
+
+// --- Incremental Sync ---
+// New mail is discovered through the Gmail history API starting from the last seen mailbox
+// historyId. Discovered ids are queued in chrome.storage.local so large backlogs drain over
+// several cycles, and processed ids are remembered so no message is handled twice. Messages that
+// couldn't be fetched or modified go back to the end of the queue and are retried next cycle.
+
+async function loadSyncState() {
+  const { syncState = {} } = await chrome.storage.local.get('syncState');
+  return {
+    historyId: syncState.historyId || null,
+    pendingMessageIds: syncState.pendingMessageIds || [],
+    processedMessageIds: syncState.processedMessageIds || [],
+    failedAttempts: syncState.failedAttempts || {} // { messageId: attempts }
+  };
+}
+
+async function saveSyncState(syncState) {
+  syncState.processedMessageIds = syncState.processedMessageIds.slice(-MAX_TRACKED_PROCESSED_IDS);
+  await chrome.storage.local.set({ syncState });
+}
+
+// Drafts and our own outgoing mail are not something rules should act on.
+function isIncomingMessage(labelIds = []) {
+  if (labelIds.includes('DRAFT')) return false;
+  return !labelIds.includes('SENT') || labelIds.includes('INBOX');
+}
+
+// New incoming message ids plus every label change as { messageId, labelId, change: 'added'|'removed' }.
+async function fetchHistoryChanges(startHistoryId) {
+  const messageIds = [];
+  const labelChanges = [];
+  let latestHistoryId = startHistoryId;
+  let pageToken = null;
+  do {
+    const params = new URLSearchParams({ startHistoryId });
+    ['messageAdded', 'labelAdded', 'labelRemoved'].forEach(type => params.append('historyTypes', type));
+    if (pageToken) params.set('pageToken', pageToken);
+    const data = await fetchGmailApi(`/history?${params}`);
+    (data?.history || []).forEach(entry => {
+      (entry.messagesAdded || []).forEach(({ message }) => {
+        if (isIncomingMessage(message.labelIds)) messageIds.push(message.id);
+      });
+      (entry.labelsAdded || []).forEach(({ message, labelIds }) => {
+        labelIds.forEach(labelId => labelChanges.push({ messageId: message.id, labelId, change: 'added' }));
+      });
+      (entry.labelsRemoved || []).forEach(({ message, labelIds }) => {
+        labelIds.forEach(labelId => labelChanges.push({ messageId: message.id, labelId, change: 'removed' }));
+      });
+    });
+    latestHistoryId = data?.historyId || latestHistoryId;
+    pageToken = data?.nextPageToken;
+  } while (pageToken);
+  return { messageIds, labelChanges, historyId: latestHistoryId };
+}
+
+// Used on first run and when the stored historyId has expired (history returns 404).
+// The profile historyId is read before listing so nothing arriving meanwhile is missed.
+async function fetchFullResyncMessageIds() {
+  const profile = await fetchGmailApi('/profile');
+  const messageIds = [];
+  let pageToken = null;
+  do {
+    const params = new URLSearchParams({ q: FULL_RESYNC_QUERY, maxResults: '100' });
+    if (pageToken) params.set('pageToken', pageToken);
+    const data = await fetchGmailApi(`/messages?${params}`);
+    (data?.messages || []).forEach(message => messageIds.push(message.id));
+    pageToken = data?.nextPageToken;
+  } while (pageToken && messageIds.length < FULL_RESYNC_MAX_MESSAGES);
+  // Messages are listed newest first; queue them oldest first like history does.
+  return { messageIds: messageIds.slice(0, FULL_RESYNC_MAX_MESSAGES).reverse(), labelChanges: [], historyId: profile?.historyId || null };
+}
+
+async function collectMailboxChanges(syncState) {
+  if (syncState.historyId) {
+    try {
+      return await fetchHistoryChanges(syncState.historyId);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      console.warn(`History id ${syncState.historyId} expired, falling back to a full resync.`);
+    }
+  } else {
+    console.log('No stored history id, performing a full resync.');
+  }
+  return fetchFullResyncMessageIds();
+}
+
+async function processNewEmails() {
+  if (isProcessingCycleRunning) {
+    console.log('Processing cycle already running, skipping.');
+    return;
+  }
+  isProcessingCycleRunning = true;
+  console.log('Starting email processing cycle...');
+  await loadSettings(); // Ensure settings are fresh
+  await getLabels(); // Refresh labels
+
+  try {
+    const syncState = await loadSyncState();
+    const runId = generateRunId('processing');
+    const { messageIds, labelChanges, historyId } = await collectMailboxChanges(syncState);
+    const processedIds = new Set(syncState.processedMessageIds);
+    const queuedIds = new Set(syncState.pendingMessageIds);
+    messageIds.forEach(id => {
+      if (!processedIds.has(id) && !queuedIds.has(id)) {
+        syncState.pendingMessageIds.push(id);
+        queuedIds.add(id);
+      }
+    });
+    syncState.historyId = historyId;
+    await saveSyncState(syncState);
+
+    await refreshRepliedContactsIfStale();
+    try {
+      const userLabelChanges = await excludeOwnLabelChanges(labelChanges);
+      await recordFalsePositives(userLabelChanges);
+      await trainSpamModelFromLabelChanges(userLabelChanges);
+      if (userSettings.enablePatternDetection) await analyzeManualLabels(userLabelChanges);
+      await updateSuggestedLabels(refreshSuggestionStatuses);
+    } catch (error) {
+      console.error('Error learning from label changes:', error);
+    }
+
+    if (syncState.pendingMessageIds.length > 0) {
+      console.log(`${syncState.pendingMessageIds.length} new emails queued.`);
+      // Process a batch at a time to avoid hitting API limits too quickly
+      // and to allow other operations.
+      const emailsToProcess = syncState.pendingMessageIds.slice(0, MAX_MESSAGES_PER_CYCLE);
+      for (let i = 0; i < emailsToProcess.length; i += BATCH_GET_SIZE) {
+        const batchIds = emailsToProcess.slice(i, i + BATCH_GET_SIZE);
+        let handledIds = new Set();
+        try {
+          handledIds = await processMessages(batchIds, runId);
+        } catch (error) {
+          console.error(`Error processing batch of ${batchIds.length} emails:`, error);
+        }
+        syncState.pendingMessageIds.splice(0, batchIds.length);
+        for (const id of batchIds) {
+          const attempts = (syncState.failedAttempts[id] || 0) + 1;
+          if (handledIds.has(id) || attempts >= MAX_MESSAGE_PROCESSING_ATTEMPTS) {
+            if (!handledIds.has(id)) console.warn(`Giving up on message ${id} after ${attempts} attempts.`);
+            delete syncState.failedAttempts[id];
+            syncState.processedMessageIds.push(id);
+          } else {
+            syncState.failedAttempts[id] = attempts;
+            syncState.pendingMessageIds.push(id);
+          }
+        }
+        await saveSyncState(syncState); // Checkpoint so a service worker restart doesn't redo work
+      }
+      if (syncState.pendingMessageIds.length > 0) {
+          console.log(`${syncState.pendingMessageIds.length} emails remain queued, will process in next cycle.`);
+      }
+    } else {
+      console.log('No new emails found.');
+    }
+    userSettings.lastProcessedTimestamp = new Date().toISOString();
+    await chrome.storage.local.set({ lastProcessedTimestamp: userSettings.lastProcessedTimestamp });
+
+  } catch (error) {
+    console.error('Error fetching or processing new emails:', error);
+    // Potentially back off the alarm if there are persistent API errors
+    if (error.message.includes('API Error') || error.message.includes('Unauthorized')) {
+        console.warn("API error during processing, might delay next alarm.");
+        // Consider logic here to temporarily increase alarm delay
+    }
+  } finally {
+    isProcessingCycleRunning = false;
+  }
+  console.log('Email processing cycle finished.');
+}
+
+// --- Rule Preview ---
+
+// Evaluates a (possibly unsaved) rule against the most recent messages without modifying anything.
+async function previewRule(rule, messageCount = DEFAULT_PREVIEW_MESSAGE_COUNT) {
+  const count = Math.min(Math.max(parseInt(messageCount) || DEFAULT_PREVIEW_MESSAGE_COUNT, 1), MAX_PREVIEW_MESSAGE_COUNT);
+  const params = new URLSearchParams({ q: '-in:drafts', maxResults: String(count) });
+  const data = await fetchGmailApi(`/messages?${params}`);
+  const messages = data?.messages || [];
+  const matches = [];
+
+  const fullMessages = (await batchGetMessages(messages.map(message => message.id))).filter(message => message?.payload?.headers);
+  const gmailQueryMatches = await findGmailQueryMatches(fullMessages, [rule]);
+  for (const fullMessage of fullMessages) {
+    if (messageMatchesRule(fullMessage, rule, gmailQueryMatches)) {
+      const fields = getMessageFields(fullMessage);
+      matches.push({
+        id: fullMessage.id,
+        subject: fields.subject,
+        sender: fields.sender,
+        date: fullMessage.internalDate ? new Date(parseInt(fullMessage.internalDate)).toISOString() : null
+      });
+    }
+  }
+  return { scanned: messages.length, matches };
+}
+
+// --- Backfill Jobs ---
+// Applying a rule to existing mail runs as a background job. Each job keeps a snapshot of the
+// rule plus its paging position in chrome.storage.local, so it resumes where it left off after
+// the service worker is stopped. A keep-alive alarm wakes the worker while jobs remain.
+
+// Gmail search is word based, so the query only narrows the candidates; every candidate is
+// still confirmed with messageMatchesRule. null means the node can't be expressed as a query.
+function conditionLeafToGmailQuery(leaf) {
+  if (leaf.type === 'hasAttachment') return 'has:attachment';
+  if (leaf.type === 'gmailQuery') return normalizeGmailQuery(leaf.value) ? `(${normalizeGmailQuery(leaf.value)})` : null;
+  if (leaf.operator === 'regex' || !leaf.value) return null;
+  const value = leaf.value.trim().replace(/"/g, '');
+  switch (leaf.type) {
+    case 'sender':
+      return `from:(${leaf.operator === 'domainEquals' ? value.replace(/^@/, '') : value})`;
+    case 'subject':
+      return `subject:("${value}")`;
+    case 'keyword':
+      return `"${value}"`;
+    case 'header': {
+      const operatorByHeader = { 'to': 'to', 'cc': 'cc', 'bcc': 'bcc', 'list-id': 'list', 'from': 'from' };
+      const searchOperator = operatorByHeader[(leaf.header || '').toLowerCase()];
+      return searchOperator ? `${searchOperator}:(${value})` : null;
+    }
+    case 'attachmentName':
+      return `filename:(${value})`;
+    case 'attachmentType':
+      return value.toLowerCase() === 'pdf' ? 'filename:pdf' : 'has:attachment';
+    case 'attachmentSize':
+      return leaf.operator === 'lessThan' ? null : `larger:${Math.floor(parseFloat(value))}K`; // Message size bounds attachment size
+    default:
+      return null;
+  }
+}
+
+function conditionToGmailQuery(node) {
+  if (!isConditionGroup(node)) return conditionLeafToGmailQuery(node);
+  const parts = node.conditions.map(conditionToGmailQuery);
+  switch (node.op) {
+    case 'and': {
+      const known = parts.filter(part => part);
+      return known.length ? known.join(' ') : null;
+    }
+    case 'or':
+      // One unrestricted branch makes the whole group unrestricted.
+      return parts.length && parts.every(part => part) ? `{${parts.join(' ')}}` : null;
+    default:
+      // Negating an approximate query could drop real matches, so 'not' stays unrestricted.
+      return null;
+  }
+}
+
+function describeRule(rule) {
+  const labelNames = (rule.actions || []).filter(a => a.type === 'addLabel').map(a => a.labelName);
+  return labelNames.length ? `Rule for ${labelNames.join(', ')}` : `Rule ${rule.id}`;
+}
+
+async function loadBackfillJobs() {
+  const { backfillJobs = [] } = await chrome.storage.local.get('backfillJobs');
+  return backfillJobs;
+}
+
+async function saveBackfillJob(job) {
+  const backfillJobs = await loadBackfillJobs();
+  const index = backfillJobs.findIndex(j => j.id === job.id);
+  job.updatedAt = new Date().toISOString();
+  if (index > -1) {
+    // Never resurrect a job the user cancelled while we were working on it.
+    if (backfillJobs[index].status === 'cancelled' && job.status !== 'cancelled') {
+      job.status = 'cancelled';
+    }
+    backfillJobs[index] = job;
+  } else {
+    backfillJobs.push(job);
+  }
+  const active = backfillJobs.filter(j => j.status === 'queued' || j.status === 'running');
+  const finished = backfillJobs.filter(j => j.status !== 'queued' && j.status !== 'running').slice(-MAX_TRACKED_BACKFILL_JOBS);
+  await chrome.storage.local.set({ backfillJobs: [...finished, ...active] });
+  notifyExtensionPages({ action: "backfillProgress", job });
+  return job;
+}
+
+async function startBackfillJob(rule) {
+  const query = [conditionToGmailQuery(rule.condition), '-in:drafts'].filter(part => part).join(' ');
+  const job = await saveBackfillJob({
+    id: `backfill_${Date.now()}`,
+    rule: { id: rule.id, condition: rule.condition, actions: rule.actions },
+    ruleDescription: describeRule(rule),
+    query,
+    status: 'queued',
+    pageToken: null,
+    scanned: 0,
+    matched: 0,
+    createdAt: new Date().toISOString()
+  });
+  console.log(`Backfill job ${job.id} queued with query: ${query}`);
+  chrome.alarms.create(BACKFILL_ALARM_NAME, { periodInMinutes: 1 });
+  runBackfillJobs(); // Not awaited; progress is reported through storage and messages
+  return job;
+}
+
+async function cancelBackfillJob(jobId) {
+  const backfillJobs = await loadBackfillJobs();
+  const job = backfillJobs.find(j => j.id === jobId);
+  if (!job || (job.status !== 'queued' && job.status !== 'running')) return null;
+  job.status = 'cancelled';
+  return saveBackfillJob(job);
+}
+
+async function isBackfillJobCancelled(jobId) {
+  const backfillJobs = await loadBackfillJobs();
+  return backfillJobs.find(j => j.id === jobId)?.status === 'cancelled';
+}
+
+async function runBackfillPage(job) {
+  const params = new URLSearchParams({ q: job.query, maxResults: String(BACKFILL_PAGE_SIZE) });
+  if (job.pageToken) params.set('pageToken', job.pageToken);
+  const data = await fetchGmailApi(`/messages?${params}`);
+  const messages = data?.messages || [];
+
+  if (await isBackfillJobCancelled(job.id)) {
+    job.status = 'cancelled';
+    return;
+  }
+
+  const actions = job.rule.actions || [];
+  const fullMessages = (await batchGetMessages(messages.map(message => message.id))).filter(message => message?.payload?.headers);
+  const gmailQueryMatches = await findGmailQueryMatches(fullMessages, [job.rule]);
+  const matching = fullMessages.filter(fullMessage => messageMatchesRule(fullMessage, job.rule, gmailQueryMatches));
+  if (matching.length > 0 && userSettings.dryRun) {
+    for (const fullMessage of matching) {
+      console.log(`[Dry run] Backfill would apply to message ${fullMessage.id}: ${describeActions(actions)}`);
+      await recordActivity({ message: fullMessage, runId: job.id, source: 'backfill', rules: [job.rule], actions, dryRun: true });
+    }
+  } else if (matching.length > 0) {
+    const { addLabelIds, removeLabelIds } = await resolveRuleActions(actions);
+    const appliedIds = await modifyMessagesInBatches(matching.map(fullMessage => ({ messageId: fullMessage.id, addLabelIds, removeLabelIds })));
+    for (const fullMessage of matching) {
+      if (appliedIds.has(fullMessage.id)) {
+        await recordActivity({ message: fullMessage, runId: job.id, source: 'backfill', rules: [job.rule], actions, addLabelIds, removeLabelIds });
+      }
+    }
+  }
+
+  // The page is the checkpoint unit: an interrupted page is redone, which is harmless
+  // because applying the same label changes twice has no further effect.
+  job.scanned += messages.length;
+  job.matched += matching.length;
+  job.pageToken = data?.nextPageToken || null;
+  if (!job.pageToken) job.status = 'completed';
+  await saveBackfillJob(job);
+}
+
+async function runBackfillJobs() {
+  if (isBackfillRunning) return;
+  isBackfillRunning = true;
+  try {
+    await getLabels();
+    let job;
+    while ((job = (await loadBackfillJobs()).find(j => j.status === 'queued' || j.status === 'running'))) {
+      job.status = 'running';
+      await saveBackfillJob(job);
+      try {
+        while (job.status === 'running') {
+          await runBackfillPage(job);
+        }
+        console.log(`Backfill job ${job.id} ${job.status}: scanned ${job.scanned}, matched ${job.matched}.`);
+      } catch (error) {
+        console.error(`Backfill job ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+        await saveBackfillJob(job);
+      }
+    }
+    chrome.alarms.clear(BACKFILL_ALARM_NAME);
+  } finally {
+    isBackfillRunning = false;
+  }
+}
+
+// --- Gmail Filters ---
+// Native Gmail filters (/settings/filters, needs the gmail.settings.basic scope) can be imported as
+// rules, and rules can be pushed out as filters so Gmail applies them server-side even while Chrome
+// is closed. Imported rules remember their filter in gmailFilterId so they aren't imported twice.
+
+// "a@x.com OR b@y.com", "(a | b)" and "{a b}" all list alternatives.
+function splitFilterCriterion(value) {
+  const trimmed = value.trim();
+  if (/^\{.*\}$/.test(trimmed)) return trimmed.slice(1, -1).split(/\s+/).filter(part => part);
+  return trimmed.replace(/^\((.*)\)$/, '$1').split(/\s+OR\s+|\s*\|\s*/).map(part => part.trim()).filter(part => part);
+}
+
+function filterCriterionToCondition(value, createLeaf) {
+  const leaves = splitFilterCriterion(value).map(part => createLeaf(part.replace(/"/g, '')));
+  return leaves.length === 1 ? leaves[0] : { op: 'or', conditions: leaves };
+}
+
+function describeGmailFilterCriteria(criteria = {}) {
+  return Object.entries(criteria).map(([key, value]) => `${key}: ${value}`).join(', ');
+}
+
+// Returns { rule, warnings, error }; error is set when the filter can't be represented as a rule.
+function gmailFilterToRule(filter) {
+  const criteria = filter.criteria || {};
+  const filterAction = filter.action || {};
+  const warnings = [];
+  const conditions = [];
+  if (criteria.from) conditions.push(filterCriterionToCondition(criteria.from, value => ({ type: 'sender', operator: 'contains', value })));
+  if (criteria.to) conditions.push(filterCriterionToCondition(criteria.to, value => ({ type: 'header', header: 'To', operator: 'contains', value })));
+  if (criteria.subject) conditions.push(filterCriterionToCondition(criteria.subject, value => ({ type: 'subject', operator: 'contains', value })));
+  if (criteria.hasAttachment) conditions.push({ type: 'hasAttachment', operator: 'contains', value: '' });
+  if (criteria.query) conditions.push({ type: 'gmailQuery', value: criteria.query });
+  if (criteria.negatedQuery) conditions.push({ op: 'not', conditions: [{ type: 'gmailQuery', value: criteria.negatedQuery }] });
+  if (criteria.size) {
+    // Gmail sizes are in bytes and compare the whole message, exactly like larger:/smaller: searches
+    conditions.push({ type: 'gmailQuery', value: `${criteria.sizeComparison === 'smaller' ? 'smaller' : 'larger'}:${criteria.size}` });
+  }
+  if (conditions.length === 0) return { rule: null, warnings, error: 'The filter has no criteria that can be converted.' };
+
+  const actions = [];
+  (filterAction.addLabelIds || []).forEach(labelId => {
+    const systemAction = { STARRED: 'star', IMPORTANT: 'markImportant', TRASH: 'trash' }[labelId];
+    actions.push(systemAction ? { type: systemAction } : { type: 'addLabel', labelId, labelName: gmailLabels[labelId] || labelId });
+  });
+  (filterAction.removeLabelIds || []).forEach(labelId => {
+    const systemAction = { INBOX: 'archive', UNREAD: 'markRead' }[labelId];
+    actions.push(systemAction ? { type: systemAction } : { type: 'removeLabel', labelId, labelName: gmailLabels[labelId] || labelId });
+  });
+  if (filterAction.forward) warnings.push(`Forwarding to ${filterAction.forward} is not supported and was left out.`);
+  if (actions.length === 0) return { rule: null, warnings, error: 'The filter has no actions that can be converted.' };
+
+  return {
+    rule: { condition: { op: 'and', conditions }, actions, stopProcessing: false, gmailFilterId: filter.id },
+    warnings,
+    error: null
+  };
+}
+
+async function listGmailFilters() {
+  const data = await fetchGmailApi('/settings/filters');
+  return data?.filter || [];
+}
+
+async function previewGmailFilterImport() {
+  await getLabels();
+  const importedFilterIds = new Set(userSettings.rules.map(rule => rule.gmailFilterId).filter(id => id));
+  return (await listGmailFilters()).map(filter => ({
+    filterId: filter.id,
+    criteria: describeGmailFilterCriteria(filter.criteria),
+    alreadyImported: importedFilterIds.has(filter.id),
+    ...gmailFilterToRule(filter)
+  }));
+}
+
+async function importGmailFilters(filterIds) {
+  await getLabels();
+  const importedFilterIds = new Set(userSettings.rules.map(rule => rule.gmailFilterId).filter(id => id));
+  const imported = [];
+  for (const filter of await listGmailFilters()) {
+    if (!filterIds.includes(filter.id) || importedFilterIds.has(filter.id)) continue;
+    const { rule } = gmailFilterToRule(filter);
+    if (!rule) continue;
+    rule.id = generateRuleId(imported.length); // Unique even when several filters import within a millisecond
+    rule.priority = getNextRulePriority();
+    userSettings.rules.push(rule);
+    imported.push(rule);
+  }
+  if (imported.length) await saveSettings();
+  console.log(`Imported ${imported.length} Gmail filter(s) as rules.`);
+  return imported;
+}
+
+// Gmail filters run server-side and may archive or trash mail, so unlike the backfill query
+// (conditionToGmailQuery) the translation must never be broader than the rule. Returns null when
+// the leaf has no exact Gmail equivalent: regexes, starts/ends with, attachment types and sizes,
+// body keywords (a Gmail word search also covers headers) and headers Gmail can't search.
+function conditionLeafToStrictGmailQuery(leaf) {
+  if (leaf.type === 'hasAttachment') return 'has:attachment';
+  if (leaf.type === 'gmailQuery') return normalizeGmailQuery(leaf.value) ? `(${normalizeGmailQuery(leaf.value)})` : null;
+  const value = (leaf.value || '').trim();
+  if (!value || /["(){}]/.test(value)) return null; // Would change the structure of the search
+  const operator = leaf.operator || DEFAULT_CONDITION_OPERATOR;
+  switch (leaf.type) {
+    case 'sender':
+      if (operator === 'contains') return `from:(${value})`;
+      return operator === 'equals' && extractEmailAddresses(value)[0] === value ? `from:(${value})` : null;
+    case 'subject':
+      return operator === 'contains' ? `subject:("${value}")` : null;
+    case 'header': {
+      const operatorByHeader = { 'to': 'to', 'cc': 'cc', 'bcc': 'bcc', 'list-id': 'list', 'from': 'from' };
+      const searchOperator = operatorByHeader[(leaf.header || '').toLowerCase()];
+      return searchOperator && operator === 'contains' ? `${searchOperator}:(${value})` : null;
+    }
+    case 'attachmentName':
+      return operator === 'contains' ? `filename:(${value})` : null;
+    default:
+      return null;
+  }
+}
+
+// Only Gmail query and has-attachment leaves match exactly what the rule matches; the others
+// search by word and so can only be narrower than the rule's substring match.
+function isExactGmailCondition(node) {
+  if (isConditionGroup(node)) return node.conditions.every(isExactGmailCondition);
+  return node.type === 'gmailQuery' || node.type === 'hasAttachment';
+}
+
+// Null as soon as any leaf, at any depth, can't be expressed without matching more than the rule.
+function conditionToStrictGmailQuery(node) {
+  if (!isConditionGroup(node)) return conditionLeafToStrictGmailQuery(node);
+  const parts = node.conditions.map(conditionToStrictGmailQuery);
+  if (parts.length === 0 || parts.some(part => !part)) return null;
+  switch (node.op) {
+    case 'and':
+      return parts.length === 1 ? parts[0] : `(${parts.join(' ')})`;
+    case 'or':
+      return `{${parts.join(' ')}}`;
+    case 'not':
+      // Negating a narrower query gives a broader one, so only exact conditions can be negated.
+      // The rule's 'not' is true when none of its conditions match.
+      return node.conditions.every(isExactGmailCondition) ? `-{${parts.join(' ')}}` : null;
+    default:
+      return null;
+  }
+}
+
+// Maps a rule onto filter criteria. Plain sender/To/subject/attachment leaves use the dedicated
+// criteria fields, everything else becomes part of the search query.
+function ruleToGmailFilterCriteria(rule) {
+  const criteria = {};
+  const queryParts = [];
+  const warnings = [];
+  const topLevel = isConditionGroup(rule.condition) && rule.condition.op === 'and' ? rule.condition.conditions : [rule.condition];
+  for (const node of topLevel) {
+    const query = conditionToStrictGmailQuery(node);
+    if (!query) {
+      return { criteria: null, warnings, error: 'Part of the condition (e.g. a regex or "starts with") has no exact Gmail search equivalent, so a filter would match more mail than the rule.' };
+    }
+    const field = !isConditionGroup(node) && (
+      node.type === 'sender' ? 'from' :
+      node.type === 'subject' ? 'subject' :
+      node.type === 'header' && (node.header || '').toLowerCase() === 'to' ? 'to' : null);
+    if (field && !criteria[field]) {
+      criteria[field] = node.value.trim();
+    } else if (!isConditionGroup(node) && node.type === 'hasAttachment') {
+      criteria.hasAttachment = true;
+    } else {
+      queryParts.push(query);
+    }
+  }
+  if (queryParts.length) criteria.query = queryParts.join(' ');
+  if (Object.keys(criteria).length === 0) return { criteria: null, warnings, error: 'The rule has no conditions Gmail can filter on.' };
+  warnings.push('Gmail search is word based, so the filter may match fewer messages than the rule.');
+  return { criteria, warnings, error: null };
+}
+
+async function exportRuleToGmailFilter(rule) {
+  const savedRule = userSettings.rules.find(existing => existing.id === rule.id);
+  const existingFilterId = savedRule?.gmailFilterId || rule.gmailFilterId;
+  if (existingFilterId && (await listGmailFilters()).some(filter => filter.id === existingFilterId)) {
+    return { error: 'This rule already has a Gmail filter.', warnings: [] };
+  }
+
+  const { criteria, warnings, error } = ruleToGmailFilterCriteria(rule);
+  if (error) return { error, warnings };
+  const { addLabelIds, removeLabelIds } = await resolveRuleActions(rule.actions || []);
+  if (!addLabelIds.length && !removeLabelIds.length) return { error: 'The rule has no actions a Gmail filter can perform.', warnings };
+
+  const filter = await fetchGmailApi('/settings/filters', 'POST', { criteria, action: { addLabelIds, removeLabelIds } });
+  if (savedRule) {
+    savedRule.gmailFilterId = filter.id;
+    await saveSettings();
+  }
+  console.log(`Rule ${rule.id} exported as Gmail filter ${filter.id}.`);
+  return { filter, warnings, error: null };
+}
+
+// --- Retention Policies ---
+// A policy archives, trashes or marks read the mail under one label once it is older than
+// olderThanDays, e.g. "trash ExtensionSpam after 30 days". The processing alarm runs the enabled
+// policies at most every RETENTION_RUN_INTERVAL_MS; changes go through batchModify and every
+// message changed gets an activity log entry, so a run can be undone from the Activity tab.
+
+function describeRetentionPolicy(policy) {
+  return `${RETENTION_ACTIONS[policy.action] || policy.action} "${policy.labelName}" after ${policy.olderThanDays} days`;
+}
+
+// Mail that is already archived (or read) doesn't need the policy again; trashed mail is
+// never listed.
+function getRetentionQuery(policy) {
+  const terms = [`older_than:${policy.olderThanDays}d`];
+  if (policy.action === 'archive') terms.push('in:inbox');
+  if (policy.action === 'markRead') terms.push('is:unread');
+  return terms.join(' ');
+}
 
-    const headers = new Headers({
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    });
+async function listRetentionMessageIds(policy, labelId, limit) {
+  const messageIds = [];
+  let pageToken = null;
+  do {
+    const params = new URLSearchParams({ q: getRetentionQuery(policy), labelIds: labelId, maxResults: String(Math.min(limit - messageIds.length, 500)) });
+    if (pageToken) params.set('pageToken', pageToken);
+    const data = await fetchGmailApi(`/messages?${params}`);
+    messageIds.push(...(data?.messages || []).map(message => message.id));
+    pageToken = data?.nextPageToken || null;
+  } while (pageToken && messageIds.length < limit);
+  return { messageIds, hasMore: !!pageToken };
+}
 
-    const config = { method, headers };
-    if (body) {
-      config.body = JSON.stringify(body);
-    }
+async function resolveRetentionLabelId(policy) {
+  await getLabels();
+  const labelId = await resolveActionLabelId(policy, false);
+  if (!labelId) throw new Error(`Label "${policy.labelName}" not found.`);
+  return labelId;
+}
 
-    const response = await fetch(`${GMAIL_API_BASE_URL}${endpoint}`, config);
+// Used by the options page's "Preview" button on a policy.
+async function previewRetentionPolicy(policy) {
+  const labelId = await resolveRetentionLabelId(policy);
+  const { messageIds, hasMore } = await listRetentionMessageIds(policy, labelId, MAX_RETENTION_PREVIEW_COUNT);
+  return { count: messageIds.length, hasMore };
+}
 
-    if (response.status === 401) { // Token might have expired or been revoked
-      console.warn('Gmail API returned 401, attempting to remove cached token and retry interactive auth.');
-      chrome.identity.removeCachedAuthToken({ token }, async () => {
-        await getAuthToken(true); // Re-authenticate interactively
-      });
-      throw new Error('Unauthorized. Please re-authenticate.');
-    }
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error(`Gmail API Error (${response.status}): ${errorData.error.message}`);
-      throw new Error(`API Error: ${errorData.error.message}`);
+// Returns the number of messages changed (or that would be changed, in dry-run mode).
+async function applyRetentionPolicy(policy, runId) {
+  const labelId = await resolveRetentionLabelId(policy);
+  const { messageIds } = await listRetentionMessageIds(policy, labelId, MAX_RETENTION_MESSAGES_PER_RUN);
+  if (messageIds.length === 0) return 0;
+
+  const actions = [{ type: policy.action }];
+  const { addLabelIds, removeLabelIds } = await resolveRuleActions(actions);
+  // Headers and current labels for the activity log, which only records what actually changed
+  const messages = (await batchGetMessages(messageIds, 'metadata')).filter(message => message?.payload?.headers);
+  if (userSettings.dryRun) {
+    console.log(`[Dry run] Retention policy "${describeRetentionPolicy(policy)}" would apply to ${messages.length} messages.`);
+    for (const message of messages) {
+      await recordActivity({ message, runId, source: 'retention', retentionPolicy: policy, actions, dryRun: true });
     }
-    return response.json();
-  } catch (error) {
-    console.error('Error in fetchGmailApi:', error);
-    // Notify the user about API errors if they are persistent
-    if (error.message.includes('API Error') || error.message.includes('NetworkError')) {
-        chrome.notifications.create({
-            type: 'basic',
-            iconUrl: 'icons/icon128.png',
-            title: 'Gmail API Error',
-            message: `Could not connect to Gmail: ${error.message}. Please check your connection or try again later.`,
-            priority: 2
-        });
+    return messages.length;
+  }
+  const appliedIds = await modifyMessagesInBatches(messages.map(message => ({ messageId: message.id, addLabelIds, removeLabelIds })));
+  for (const message of messages) {
+    if (appliedIds.has(message.id)) {
+      await recordActivity({ message, runId, source: 'retention', retentionPolicy: policy, actions, addLabelIds, removeLabelIds });
     }
-    throw error; // Re-throw to be caught by calling function
   }
+  return appliedIds.size;
 }
 
-async function getLabels() {
+// Runs every enabled policy unless they ran within RETENTION_RUN_INTERVAL_MS; force skips that check.
+async function runRetentionPolicies(force = false) {
+  const policies = (userSettings.retentionPolicies || []).filter(policy => policy.enabled !== false);
+  if (isRetentionRunning || policies.length === 0) return { applied: 0 };
+  const { lastRetentionRunAt = 0 } = await chrome.storage.local.get('lastRetentionRunAt');
+  if (!force && Date.now() - lastRetentionRunAt < RETENTION_RUN_INTERVAL_MS) return { applied: 0 };
+
+  isRetentionRunning = true;
+  let applied = 0;
   try {
-    const data = await fetchGmailApi('/labels');
-    gmailLabels = {}; // Reset cache
-    if (data && data.labels) {
-      data.labels.forEach(label => {
-        gmailLabels[label.id] = label.name;
-      });
-      return gmailLabels;
+    const runId = generateRunId('retention');
+    for (const policy of policies) {
+      try {
+        const count = await applyRetentionPolicy(policy, runId);
+        if (count > 0) console.log(`Retention policy "${describeRetentionPolicy(policy)}" applied to ${count} messages.`);
+        applied += count;
+      } catch (error) {
+        console.error(`Error applying retention policy "${describeRetentionPolicy(policy)}":`, error);
+      }
     }
-    return {};
-  } catch (error) {
-    console.error('Error fetching labels:', error);
-    return {}; // Return empty or cached if error
+    await chrome.storage.local.set({ lastRetentionRunAt: Date.now() });
+  } finally {
+    isRetentionRunning = false;
   }
+  return { applied };
 }
 
-async function createLabelIfNeeded(labelName) {
-  await getLabels(); // Ensure local cache is up-to-date
-  let existingLabelId = Object.keys(gmailLabels).find(id => gmailLabels[id].toLowerCase() === labelName.toLowerCase());
+// --- Settings Management ---
+// Settings live in chrome.storage.sync under 'userSettings', tagged with schemaVersion. Rules are
+// kept out of that item and packed into 'rules_0', 'rules_1', ... so no single item passes the
+// 8KB sync limit. When the rules don't fit in sync at all they move to chrome.storage.local
+// ('overflowRules'), and if even the remaining settings don't fit everything goes to local
+// storage, leaving only a pointer in sync. Both fallbacks are reported to the options page.
 
-  if (existingLabelId) {
-    return existingLabelId;
+// Each entry upgrades settings stored at version N to version N + 1. Version 1 is the original
+// layout: one sync item, no schemaVersion, rules inline and possibly flat { type, value, labelName }.
+const SETTINGS_MIGRATIONS = {
+  1: settings => {
+    const { lastProcessedTimestamp, ...rest } = settings; // Runtime state belongs in chrome.storage.local
+    return { ...rest, rules: (rest.rules || []).map(migrateRule) };
+  },
+  2: settings => {
+    // The old default weight quarantined mail on a display-name match alone
+    if (settings.spamWeights?.displayNameSpoofing !== 5) return settings;
+    return { ...settings, spamWeights: { ...settings.spamWeights, displayNameSpoofing: DEFAULT_SPAM_WEIGHTS.displayNameSpoofing } };
   }
+};
 
-  try {
-    console.log(`Creating label: ${labelName}`);
-    const newLabel = await fetchGmailApi('/labels', 'POST', {
-      name: labelName,
-      labelListVisibility: 'labelShow',
-      messageListVisibility: 'show'
-    });
-    if (newLabel && newLabel.id) {
-      gmailLabels[newLabel.id] = newLabel.name; // Update cache
-      return newLabel.id;
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumberMap = value => isPlainObject(value) && Object.values(value).every(item => typeof item === 'number' && item >= 0);
+
+// Returns an error message for an invalid condition tree, null when it is valid.
+function validateConditionTree(node, path) {
+  if (!node || typeof node !== 'object') return `${path} is not a condition`;
+  if (isConditionGroup(node)) {
+    if (!['and', 'or', 'not'].includes(node.op)) return `${path} has unknown group operator "${node.op}"`;
+    for (const [index, child] of node.conditions.entries()) {
+      const error = validateConditionTree(child, `${path}.conditions[${index}]`);
+      if (error) return error;
+    }
+    return null;
+  }
+  if (typeof node.type !== 'string') return `${path} has no condition type`;
+  if (node.operator === 'regex') {
+    try {
+      new RegExp(node.value);
+    } catch (error) {
+      return `${path} has an invalid regex: ${error.message}`;
     }
-  } catch (error) {
-    console.error(`Error creating label "${labelName}":`, error);
-    // Notify user about failure to create label
-    chrome.notifications.create({
-        type: 'basic',
-        iconUrl: 'icons/icon128.png',
-        title: 'Label Creation Failed',
-        message: `Could not create label: ${labelName}. Error: ${error.message}`,
-        priority: 1
-    });
   }
   return null;
 }
 
-async function applyLabelsToMessage(messageId, labelIdsToAdd, labelIdsToRemove = []) {
-  if (!labelIdsToAdd.length && !labelIdsToRemove.length) return;
-  try {
-    await fetchGmailApi(`/messages/${messageId}/modify`, 'POST', {
-      addLabelIds: labelIdsToAdd,
-      removeLabelIds: labelIdsToRemove
-    });
-    console.log(`Labels modified for message ${messageId}. Added: ${labelIdsToAdd.join(', ')}`);
-  } catch (error) {
-    console.error(`Error applying labels to message ${messageId}:`, error);
+function validateRuleShape(rule, index) {
+  const path = `rules[${index}]`;
+  if (!rule || typeof rule !== 'object') return `${path} is not a rule`;
+  if (!rule.condition && typeof rule.type !== 'string') return `${path} has no condition`; // Flat rules are migrated
+  if (rule.condition) {
+    const error = validateConditionTree(rule.condition, `${path}.condition`);
+    if (error) return error;
+  }
+  if (rule.actions !== undefined && !(Array.isArray(rule.actions) && rule.actions.every(action => typeof action?.type === 'string'))) {
+    return `${path}.actions must be a list of actions`;
   }
+  return null;
 }
 
-// --- Core Email Processing Logic ---
+// One validator per persisted setting; each returns an error message or null.
+function validateRetentionPolicyShape(policy, index) {
+  if (!isPlainObject(policy)) return `policy #${index + 1} must be an object`;
+  if (typeof policy.id !== 'string') return `policy #${index + 1} has no id`;
+  if (typeof policy.labelName !== 'string' || !policy.labelName) return `policy #${index + 1} has no label`;
+  if (!Number.isInteger(policy.olderThanDays) || policy.olderThanDays < 1) return `policy #${index + 1} must apply after a whole number of days`;
+  if (!(policy.action in RETENTION_ACTIONS)) return `policy #${index + 1} has unknown action "${policy.action}"`;
+  return null;
+}
 
-function messageMatchesRule(message, rule) {
-  const subject = message.payload.headers.find(h => h.name.toLowerCase() === 'subject')?.value || '';
-  const sender = message.payload.headers.find(h => h.name.toLowerCase() === 'from')?.value || '';
-  // Basic snippet decoding for keyword search (can be improved for full body)
-  let bodySnippet = message.snippet || '';
-  if (message.payload.parts) { // Try to get some text part
-      const textPart = message.payload.parts.find(p => p.mimeType === 'text/plain' && p.body && p.body.data);
-      if (textPart) {
-          try {
-            bodySnippet += ' ' + atob(textPart.body.data.replace(/-/g, '+').replace(/_/g, '/'));
-          } catch (e) { console.warn("Error decoding body part:", e); }
-      }
-  }
+const SETTINGS_FIELD_VALIDATORS = {
+  rules: value => Array.isArray(value) ? value.map(validateRuleShape).find(error => error) || null : 'must be a list of rules',
+  spamKeywords: value => isStringArray(value) ? null : 'must be a list of strings',
+  spamSenderDomains: value => isStringArray(value) ? null : 'must be a list of strings',
+  trustedSenders: value => isStringArray(value) ? null : 'must be a list of strings',
+  trustedDomains: value => isStringArray(value) ? null : 'must be a list of strings',
+  spamSignals: value => isPlainObject(value) && Object.values(value).every(item => typeof item === 'boolean') ? null : 'must map signal names to true/false',
+  protectedBrands: value => Array.isArray(value) && value.every(brand => typeof brand?.name === 'string' && isStringArray(brand.domains)) ? null : 'must be a list of { name, domains }',
+  spamWeights: value => isNumberMap(value) ? null : 'must map signal names to non-negative numbers',
+  spamThresholds: value => isNumberMap(value) && value.suspicious > 0 && value.spam >= value.suspicious ? null : 'must be { suspicious, spam } with 0 < suspicious <= spam',
+  spamKeywordWeights: value => isNumberMap(value) ? null : 'must map keywords to non-negative numbers',
+  enablePhishingDetection: value => typeof value === 'boolean' ? null : 'must be true or false',
+  phishingDomains: value => isStringArray(value) ? null : 'must be a list of strings',
+  autoTrustRepliedSenders: value => typeof value === 'boolean' ? null : 'must be true or false',
+  autoCreateLabels: value => typeof value === 'boolean' ? null : 'must be true or false',
+  enableSpamDetection: value => typeof value === 'boolean' ? null : 'must be true or false',
+  enablePatternDetection: value => typeof value === 'boolean' ? null : 'must be true or false',
+  dryRun: value => typeof value === 'boolean' ? null : 'must be true or false',
+  processingInterval: value => Number.isInteger(value) && value >= 1 ? null : 'must be a whole number of minutes',
+  quotaUnitsPerSecond: value => Number.isInteger(value) && value >= 10 && value <= 250 ? null : 'must be between 10 and 250',
+  retentionPolicies: value => Array.isArray(value) ? value.map(validateRetentionPolicyShape).find(error => error) || null : 'must be a list of retention policies'
+};
 
+function getStorageArea(areaName, keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage[areaName].get(keys, (items) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(items);
+    });
+  });
+}
 
-  switch (rule.type) {
-    case 'sender':
-      return sender.toLowerCase().includes(rule.value.toLowerCase());
-    case 'subject':
-      return subject.toLowerCase().includes(rule.value.toLowerCase());
-    case 'keyword': // Searches in subject or snippet/body
-      return subject.toLowerCase().includes(rule.value.toLowerCase()) ||
-             bodySnippet.toLowerCase().includes(rule.value.toLowerCase());
-    default:
-      return false;
-  }
+function setStorageArea(areaName, items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage[areaName].set(items, () => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve();
+    });
+  });
 }
 
-function isSpam(message) {
-  if (!userSettings.enableSpamDetection) return false;
+function removeFromStorageArea(areaName, keys) {
+  return new Promise(resolve => {
+    if (keys.length === 0) return resolve();
+    chrome.storage[areaName].remove(keys, () => resolve());
+  });
+}
 
-  const subject = message.payload.headers.find(h => h.name.toLowerCase() === 'subject')?.value.toLowerCase() || '';
-  const senderHeader = message.payload.headers.find(h => h.name.toLowerCase() === 'from')?.value.toLowerCase() || '';
-  const senderDomain = senderHeader.substring(senderHeader.lastIndexOf('@') + 1).replace('>', '');
+function getSyncItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
 
-  // Keyword check
-  for (const keyword of userSettings.spamKeywords) {
-    if (subject.includes(keyword.toLowerCase())) {
-      console.log(`Spam detected (keyword: ${keyword}) in subject: ${subject}`);
-      return true;
+// Packs rules into as few sync items as possible. Returns null when a single rule is too large.
+function shardRulesForSync(rules) {
+  const shards = [];
+  let current = [];
+  for (const rule of rules) {
+    if (getSyncItemBytes(`rules_${shards.length}`, [...current, rule]) <= SYNC_ITEM_BYTE_LIMIT) {
+      current.push(rule);
+      continue;
     }
+    if (current.length === 0) return null;
+    shards.push(current);
+    current = [rule];
+    if (getSyncItemBytes(`rules_${shards.length}`, current) > SYNC_ITEM_BYTE_LIMIT) return null;
   }
+  if (current.length) shards.push(current);
+  return shards;
+}
 
-  // Suspicious sender domain (simple TLD check, can be expanded)
-  for (const domain of userSettings.spamSenderDomains) {
-      if (senderDomain.endsWith(domain.toLowerCase())) {
-          console.log(`Spam detected (domain: ${domain}) from sender: ${senderHeader}`);
-          return true;
-      }
+// Reads whichever layout the settings were saved in and returns them with their schema version.
+async function readStoredSettings() {
+  const syncData = await getStorageArea('sync', null);
+  let stored = syncData.userSettings || {};
+  if (stored.settingsLocation === 'local') {
+    stored = (await getStorageArea('local', 'userSettings')).userSettings || {};
   }
+  const { schemaVersion = 1, settingsLocation, rulesLocation, ruleShardCount = 0, ...settings } = stored;
+  if (rulesLocation === 'sync') {
+    settings.rules = [];
+    for (let i = 0; i < ruleShardCount; i++) settings.rules.push(...(syncData[`rules_${i}`] || []));
+  } else if (rulesLocation === 'local') {
+    settings.rules = (await getStorageArea('local', 'overflowRules')).overflowRules || [];
+  }
+  return { schemaVersion, settings };
+}
 
-  // Excessive punctuation in subject (example heuristic)
-  if ((subject.match(/[!]{2,}/g) || []).length > 0 || (subject.match(/[?]{2,}/g) || []).length > 0) {
-      console.log(`Spam detected (excessive punctuation) in subject: ${subject}`);
-      return true;
+function migrateSettings(settings, fromVersion) {
+  let migrated = settings;
+  for (let version = fromVersion; version < SETTINGS_SCHEMA_VERSION; version++) {
+    if (SETTINGS_MIGRATIONS[version]) migrated = SETTINGS_MIGRATIONS[version](migrated);
+    console.log(`Settings migrated from schema version ${version} to ${version + 1}.`);
   }
+  return migrated;
+}
 
-  // Add more heuristics: sender has no proper TLD (e.g. just "user@localhost")
-  // This is a naive check and might have false positives. A proper TLD list or regex would be better.
-  if (senderDomain && !senderDomain.includes('.') && senderDomain !== 'localhost') {
-    console.log(`Spam detected (suspicious TLD: ${senderDomain}) from sender: ${senderHeader}`);
-    return true;
+// Drops unknown fields, resets invalid ones to their default and skips individual invalid rules.
+function validateStoredSettings(settings, warnings) {
+  const valid = {};
+  for (const [key, value] of Object.entries(settings)) {
+    const validator = SETTINGS_FIELD_VALIDATORS[key];
+    if (!validator) continue;
+    if (key === 'rules' && Array.isArray(value)) {
+      valid.rules = value.filter((rule, index) => {
+        const error = validateRuleShape(rule, index);
+        if (error) warnings.push(`Skipped an invalid rule: ${error}.`);
+        return !error;
+      });
+      continue;
+    }
+    const error = validator(value);
+    if (error) {
+      warnings.push(`Setting "${key}" ${error}; the default is used instead.`);
+    } else {
+      valid[key] = value;
+    }
   }
+  return valid;
+}
 
+// Checks settings sent by the options page before they replace userSettings. Returns error messages.
+function validateSettingsUpdate(settings) {
+  if (!isPlainObject(settings)) return ['No settings were sent.'];
+  return Object.entries(settings).flatMap(([key, value]) => {
+    const validator = SETTINGS_FIELD_VALIDATORS[key];
+    if (!validator) return [`Unknown setting "${key}".`];
+    const error = validator(value);
+    return error ? [`"${key}" ${error}.`] : [];
+  });
+}
 
-  return false;
+// Stored values win over defaults; object-valued settings are merged so new keys get defaults.
+function applySettingDefaults(settings) {
+  const merged = JSON.parse(JSON.stringify(DEFAULT_USER_SETTINGS));
+  for (const [key, value] of Object.entries(settings)) {
+    merged[key] = isPlainObject(merged[key]) && isPlainObject(value) ? { ...merged[key], ...value } : value;
+  }
+  return merged;
 }
 
-async function processEmail(message) {
+async function loadSettings() {
+  await settingsWriteChain; // A queued save must land first, or this load would bring back the old settings
+  const warnings = [];
   try {
-    const fullMessage = await fetchGmailApi(`/messages/${message.id}?format=full`);
-    if (!fullMessage || !fullMessage.payload || !fullMessage.payload.headers) {
-      console.warn('Could not fetch full message details for:', message.id);
-      return;
+    const { schemaVersion, settings } = await readStoredSettings();
+    if (schemaVersion > SETTINGS_SCHEMA_VERSION) {
+      warnings.push(`Settings were saved by a newer version of the extension (schema ${schemaVersion}); unknown fields are ignored.`);
     }
+    const migrated = migrateSettings(settings, schemaVersion);
+    const { lastProcessedTimestamp = null } = await chrome.storage.local.get('lastProcessedTimestamp');
+    userSettings = applySettingDefaults(validateStoredSettings(migrated, warnings));
+    userSettings.rules = userSettings.rules.map(migrateRule);
+    userSettings.lastProcessedTimestamp = lastProcessedTimestamp;
+    settingsStatus = { ...settingsStatus, loadWarnings: warnings };
+    if (schemaVersion < SETTINGS_SCHEMA_VERSION) await saveSettings(); // Persist the migrated layout
+  } catch (error) {
+    console.error("Error loading settings:", error);
+  }
+  if (warnings.length) console.warn('Settings warnings:', warnings);
+  console.log('Settings loaded:', userSettings);
+}
 
-    let labelsToAdd = [];
-    let appliedRule = false;
+// Every default key except runtime state is persisted, so new settings can't be forgotten here.
+function getPersistableSettings() {
+  return Object.fromEntries(Object.keys(DEFAULT_USER_SETTINGS)
+    .filter(key => !RUNTIME_SETTING_KEYS.includes(key))
+    .map(key => [key, userSettings[key]]));
+}
 
-    // 1. Spam Detection
-    if (isSpam(fullMessage)) {
-      const spamLabelId = await createLabelIfNeeded(SPAM_LABEL_NAME);
-      if (spamLabelId) {
-        labelsToAdd.push(spamLabelId);
-        console.log(`Message ${message.id} marked as spam.`);
-      }
-    } else {
-      // 2. Apply User-Defined Rules
-      for (const rule of userSettings.rules) {
-        if (messageMatchesRule(fullMessage, rule)) {
-          const targetLabelId = rule.labelId || await createLabelIfNeeded(rule.labelName); // Prefer ID if stored
-          if (targetLabelId) {
-            labelsToAdd.push(targetLabelId);
-            // For pattern detection, store which rule/label was applied
-            // This is a simplified example; more robust tracking might be needed
-            await chrome.storage.local.set({ [`messageRule_${message.id}`]: { labelId: targetLabelId, labelName: gmailLabels[targetLabelId] || rule.labelName }});
-            console.log(`Rule matched for message ${message.id}. Applying label: ${gmailLabels[targetLabelId] || rule.labelName}`);
-            appliedRule = true;
-            break; // Apply first matching rule, or configure for multiple
-          }
-        }
+// Queued so overlapping saves (options page, trusted sender updates, imports) never interleave
+// their shard writes. The settings are copied when the save is requested, so a loadSettings that
+// replaces userSettings meanwhile can't turn the save into a write of the old settings.
+function saveSettings() {
+  const snapshot = JSON.parse(JSON.stringify(getPersistableSettings()));
+  settingsWriteChain = settingsWriteChain.then(() => writeSettings(snapshot)).catch(error => console.error('Error saving settings:', error));
+  return settingsWriteChain;
+}
+
+async function writeSettings(persistableSettings) {
+  const { rules, ...settings } = persistableSettings;
+  const header = { ...settings, schemaVersion: SETTINGS_SCHEMA_VERSION };
+  const ruleShards = shardRulesForSync(rules);
+  const shardBytes = (ruleShards || []).reduce((total, shard, i) => total + getSyncItemBytes(`rules_${i}`, shard), 0);
+  const headerBytes = getSyncItemBytes('userSettings', { ...header, rulesLocation: 'local' });
+
+  // Preferred layout first; each later one trades sync for local storage.
+  const layouts = [];
+  if (ruleShards && headerBytes + shardBytes <= SYNC_TOTAL_BYTE_LIMIT) layouts.push('sync');
+  if (headerBytes <= SYNC_ITEM_BYTE_LIMIT) layouts.push('rulesLocal');
+  layouts.push('local');
+
+  const { userSettings: previousHeader } = await getStorageArea('sync', 'userSettings').catch(() => ({}));
+  const staleShardKeys = Array.from({ length: previousHeader?.ruleShardCount || 0 }, (_, i) => `rules_${i}`);
+  for (const layout of layouts) {
+    try {
+      if (layout === 'sync') {
+        const items = { userSettings: { ...header, rulesLocation: 'sync', ruleShardCount: ruleShards.length } };
+        ruleShards.forEach((shard, i) => { items[`rules_${i}`] = shard; });
+        await setStorageArea('sync', items);
+        await removeFromStorageArea('sync', staleShardKeys.filter(key => !(key in items)));
+        await removeFromStorageArea('local', ['overflowRules', 'userSettings']);
+        settingsStatus = { ...settingsStatus, location: 'sync', ruleShardCount: ruleShards.length, saveWarning: null };
+      } else if (layout === 'rulesLocal') {
+        await setStorageArea('local', { overflowRules: rules });
+        await setStorageArea('sync', { userSettings: { ...header, rulesLocation: 'local' } });
+        await removeFromStorageArea('sync', staleShardKeys);
+        await removeFromStorageArea('local', ['userSettings']);
+        settingsStatus = { ...settingsStatus, location: 'rulesLocal', ruleShardCount: 0,
+          saveWarning: 'Your rules are too large for Chrome sync storage and are saved on this computer only.' };
+      } else {
+        await setStorageArea('local', { userSettings: { ...header, rules } });
+        await setStorageArea('sync', { userSettings: { schemaVersion: SETTINGS_SCHEMA_VERSION, settingsLocation: 'local' } });
+        await removeFromStorageArea('sync', staleShardKeys);
+        await removeFromStorageArea('local', ['overflowRules']);
+        settingsStatus = { ...settingsStatus, location: 'local', ruleShardCount: 0,
+          saveWarning: 'Your settings are too large for Chrome sync storage and are saved on this computer only.' };
       }
+      console.log(`Settings saved (${layout}).`);
+      return;
+    } catch (error) {
+      console.warn(`Saving settings with the ${layout} layout failed:`, error);
     }
+  }
+  settingsStatus = { ...settingsStatus, saveWarning: 'Settings could not be saved.' };
+  console.error('Error saving settings: every storage layout failed.');
+}
 
-    if (labelsToAdd.length > 0) {
-      // Remove 'UNREAD' to mark as processed by our rules, and potentially 'INBOX' if moving to a specific label that acts as an archive.
-      // For simplicity, just add labels. To also archive, add 'INBOX' to labelIdsToRemove if a non-spam label is applied.
-      await applyLabelsToMessage(message.id, labelsToAdd, ['UNREAD']);
-    }
+function updateProcessingAlarm() {
+  chrome.alarms.get(PROCESSING_ALARM_NAME, (alarm) => {
+      if (alarm && alarm.periodInMinutes !== userSettings.processingInterval) {
+          chrome.alarms.create(PROCESSING_ALARM_NAME, {
+            delayInMinutes: 1,
+            periodInMinutes: userSettings.processingInterval
+          });
+          console.log(`Processing alarm updated to every ${userSettings.processingInterval} minutes.`);
+      }
+  });
+}
 
-    // 3. Pattern Detection (after rules are applied)
-    // This part is more complex and needs careful state management.
-    // For this example, it's a placeholder for a more robust implementation.
-    // The idea: if multiple emails from `domain.com` get label `X`, suggest `X - domain.com`
-    if (appliedRule && userSettings.enablePatternDetection) {
-        await analyzeForPatterns(fullMessage, labelsToAdd);
-    }
+// --- Settings Import / Export ---
+// Settings are exported as { format, version, exportedAt, settings } containing exactly what
+// saveSettings persists. Imports are validated field by field, previewed as a diff and then
+// either merged into the current settings or replace them (missing fields fall back to defaults).
+
+function exportSettings() {
+  return {
+    format: SETTINGS_EXPORT_FORMAT,
+    version: SETTINGS_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: getPersistableSettings()
+  };
+}
 
+// Returns { errors, warnings, settings } where settings holds only the valid, known fields.
+function validateSettingsDocument(document) {
+  const errors = [];
+  const warnings = [];
+  const settings = {};
+  if (!document || typeof document !== 'object' || document.format !== SETTINGS_EXPORT_FORMAT) {
+    return { errors: ['This file is not an Inbox Detox settings export.'], warnings, settings };
+  }
+  if (!Number.isInteger(document.version) || document.version > SETTINGS_EXPORT_VERSION) {
+    return { errors: [`Unsupported settings version ${document.version}; this extension reads up to version ${SETTINGS_EXPORT_VERSION}.`], warnings, settings };
+  }
+  if (!document.settings || typeof document.settings !== 'object') {
+    return { errors: ['The file contains no settings.'], warnings, settings };
+  }
 
-  } catch (error) {
-    console.error(`Error processing email ${message.id}:`, error);
-  }
-}
-
-async function analyzeForPatterns(message, appliedLabelIds) {
-    if (!appliedLabelIds || appliedLabelIds.length === 0) return;
-
-    const senderHeader = message.payload.headers.find(h => h.name.toLowerCase() === 'from')?.value || '';
-    const match = senderHeader.match(/@([\w.-]+)/);
-    if (!match || !match[1]) return; // No domain found
-    const senderDomain = match[1];
-
-    // Only consider manually applied-like labels for pattern (not spam)
-    const primaryAppliedLabelId = appliedLabelIds.find(id => gmailLabels[id] !== SPAM_LABEL_NAME);
-    if (!primaryAppliedLabelId) return;
-
-    const primaryAppliedLabelName = gmailLabels[primaryAppliedLabelId];
-
-    let { domainLabelCounts = {} } = await chrome.storage.local.get('domainLabelCounts');
-    const key = `${senderDomain}:::${primaryAppliedLabelId}`; // Domain + LabelID composite key
-    domainLabelCounts[key] = (domainLabelCounts[key] || 0) + 1;
-
-    await chrome.storage.local.set({ domainLabelCounts });
-
-    if (domainLabelCounts[key] >= MIN_EMAILS_FOR_PATTERN) {
-        const suggestedLabelName = `${primaryAppliedLabelName} - ${senderDomain}`;
-        // Check if this suggestion or a similar label already exists or was suggested
-        let { suggestedLabels = [] } = await chrome.storage.local.get('suggestedLabels');
-        const existingSuggestion = suggestedLabels.find(s => s.name.toLowerCase() === suggestedLabelName.toLowerCase());
-        const labelAlreadyExists = Object.values(gmailLabels).some(name => name.toLowerCase() === suggestedLabelName.toLowerCase());
-
-        if (!existingSuggestion && !labelAlreadyExists) {
-            const newSuggestion = {
-                id: `sugg_${Date.now()}`, // Unique ID for suggestion
-                name: suggestedLabelName,
-                basedOnDomain: senderDomain,
-                basedOnLabel: primaryAppliedLabelName,
-                basedOnLabelId: primaryAppliedLabelId,
-                status: 'pending' // pending, approved, rejected
-            };
-            suggestedLabels.push(newSuggestion);
-            await chrome.storage.local.set({ suggestedLabels });
-            console.log(`New label suggestion: ${suggestedLabelName}`);
-
-            chrome.notifications.create(`suggestion_${newSuggestion.id}`, {
-                type: 'basic',
-                iconUrl: 'icons/icon128.png',
-                title: 'New Label Suggestion',
-                message: `Suggest creating label: "${suggestedLabelName}" for emails from ${senderDomain} currently labeled "${primaryAppliedLabelName}"?`,
-                buttons: [{ title: 'Approve & Create' }, { title: 'Reject' }],
-                priority: 1,
-                requireInteraction: true // Keep notification until user interacts
-            });
-        }
+  for (const [key, value] of Object.entries(document.settings)) {
+    const validator = SETTINGS_FIELD_VALIDATORS[key];
+    if (!validator) {
+      warnings.push(`Ignoring unknown setting "${key}".`);
+      continue;
+    }
+    const error = validator(value);
+    if (error) {
+      errors.push(`"${key}" ${error}`);
+    } else {
+      settings[key] = JSON.parse(JSON.stringify(value));
     }
+  }
+  if (settings.rules) settings.rules = settings.rules.map(migrateRule);
+  return { errors, warnings, settings };
 }
 
+function mergeUniqueStrings(current = [], imported = []) {
+  const seen = new Set(current.map(item => item.toLowerCase()));
+  return [...current, ...imported.filter(item => !seen.has(item.toLowerCase()) && seen.add(item.toLowerCase()))];
+}
 
-async function processUnreadEmails() {
-  console.log('Starting email processing cycle...');
-  await loadSettings(); // Ensure settings are fresh
-  await getLabels(); // Refresh labels
+// Merge keeps everything already configured: rules and brands are matched by id/name and
+// replaced, new ones appended; lists are unioned; maps are combined; simple values are overwritten.
+function combineImportedSettings(current, imported, mode) {
+  if (mode === 'replace') {
+    const defaults = JSON.parse(JSON.stringify(DEFAULT_USER_SETTINGS));
+    return Object.fromEntries(Object.keys(current).map(key => [key, key in imported ? imported[key] : defaults[key]]));
+  }
 
-  try {
-    const data = await fetchGmailApi('/messages?q=is:unread'); // Fetch unread emails
-    if (data && data.messages && data.messages.length > 0) {
-      console.log(`Found ${data.messages.length} unread emails.`);
-      // Process a few at a time to avoid hitting API limits too quickly
-      // and to allow other operations.
-      const emailsToProcess = data.messages.slice(0, 10); // Process up to 10
-      for (const message of emailsToProcess) {
-        await processEmail(message);
-      }
-      if (data.messages.length > 10) {
-          console.log(`More unread emails exist, will process in next cycle.`);
-      }
+  const combined = { ...current };
+  for (const [key, value] of Object.entries(imported)) {
+    if (key === 'rules') {
+      const importedById = new Map(value.map(rule => [rule.id, rule]));
+      let nextPriority = Math.max(0, ...current.rules.map(rule => rule.priority)) + 1;
+      combined.rules = [
+        ...current.rules.map(rule => importedById.get(rule.id) ? { ...importedById.get(rule.id), priority: rule.priority } : rule),
+        ...value.filter(rule => !current.rules.some(existing => existing.id === rule.id))
+          .map(rule => ({ ...rule, priority: nextPriority++ }))
+      ];
+    } else if (key === 'retentionPolicies') {
+      const importedIds = new Set(value.map(policy => policy.id));
+      combined.retentionPolicies = [...current.retentionPolicies.filter(policy => !importedIds.has(policy.id)), ...value];
+    } else if (key === 'protectedBrands') {
+      const importedNames = new Set(value.map(brand => brand.name.toLowerCase()));
+      combined.protectedBrands = [...current.protectedBrands.filter(brand => !importedNames.has(brand.name.toLowerCase())), ...value];
+    } else if (isStringArray(value)) {
+      combined[key] = mergeUniqueStrings(current[key], value);
+    } else if (value && typeof value === 'object') {
+      combined[key] = { ...current[key], ...value };
     } else {
-      console.log('No unread emails found.');
-    }
-    userSettings.lastProcessedTimestamp = new Date().toISOString();
-    await chrome.storage.local.set({ lastProcessedTimestamp: userSettings.lastProcessedTimestamp });
-
-  } catch (error) {
-    console.error('Error fetching or processing unread emails:', error);
-    // Potentially back off the alarm if there are persistent API errors
-    if (error.message.includes('API Error') || error.message.includes('Unauthorized')) {
-        console.warn("API error during processing, might delay next alarm.");
-        // Consider logic here to temporarily increase alarm delay
+      combined[key] = value;
     }
   }
-  console.log('Email processing cycle finished.');
+  return combined;
 }
 
-// --- Settings Management ---
-async function loadSettings() {
-  return new Promise(resolve => {
-    chrome.storage.sync.get(null, (loadedData) => { // Get all stored sync data
-      if (chrome.runtime.lastError) {
-        console.error("Error loading settings:", chrome.runtime.lastError);
-      } else {
-        // Merge defaults with loaded data
-        userSettings = {
-          ...userSettings, // Start with defaults
-          ...loadedData.userSettings // Override with stored if they exist
-        };
-        // Ensure essential arrays exist if not in storage
-        userSettings.rules = userSettings.rules || [];
-        userSettings.spamKeywords = userSettings.spamKeywords || ['win a prize', 'free money', 'urgent action required', 'limited time offer', 'congratulations you won'];
-        userSettings.spamSenderDomains = userSettings.spamSenderDomains || [];
-
-        if (loadedData.lastProcessedTimestamp) {
-          userSettings.lastProcessedTimestamp = loadedData.lastProcessedTimestamp;
-        }
+// Human readable differences per setting, e.g. { key: 'spamKeywords', changes: ['+ "free gift"'] }.
+function diffSettings(before, after) {
+  const diff = [];
+  for (const key of Object.keys(after)) {
+    const oldValue = before[key];
+    const newValue = after[key];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+    const changes = [];
+    if (key === 'rules') {
+      const oldById = new Map(oldValue.map(rule => [rule.id, rule]));
+      const newIds = new Set(newValue.map(rule => rule.id));
+      newValue.forEach(rule => {
+        if (!oldById.has(rule.id)) changes.push(`+ ${describeRule(rule)}`);
+        else if (JSON.stringify(oldById.get(rule.id)) !== JSON.stringify(rule)) changes.push(`~ ${describeRule(rule)}`);
+      });
+      oldValue.filter(rule => !newIds.has(rule.id)).forEach(rule => changes.push(`- ${describeRule(rule)}`));
+    } else if (key === 'retentionPolicies') {
+      const oldById = new Map(oldValue.map(policy => [policy.id, policy]));
+      const newIds = new Set(newValue.map(policy => policy.id));
+      newValue.forEach(policy => {
+        if (!oldById.has(policy.id)) changes.push(`+ ${describeRetentionPolicy(policy)}`);
+        else if (JSON.stringify(oldById.get(policy.id)) !== JSON.stringify(policy)) changes.push(`~ ${describeRetentionPolicy(policy)}`);
+      });
+      oldValue.filter(policy => !newIds.has(policy.id)).forEach(policy => changes.push(`- ${describeRetentionPolicy(policy)}`));
+    } else if (key === 'protectedBrands') {
+      const describeBrand = brand => `${brand.name} (${brand.domains.join(', ')})`;
+      const oldBrands = oldValue.map(describeBrand);
+      const newBrands = newValue.map(describeBrand);
+      newBrands.filter(brand => !oldBrands.includes(brand)).forEach(brand => changes.push(`+ ${brand}`));
+      oldBrands.filter(brand => !newBrands.includes(brand)).forEach(brand => changes.push(`- ${brand}`));
+    } else if (isStringArray(newValue) && isStringArray(oldValue)) {
+      newValue.filter(item => !oldValue.includes(item)).forEach(item => changes.push(`+ "${item}"`));
+      oldValue.filter(item => !newValue.includes(item)).forEach(item => changes.push(`- "${item}"`));
+    } else if (newValue && typeof newValue === 'object') {
+      for (const field of new Set([...Object.keys(oldValue || {}), ...Object.keys(newValue)])) {
+        const oldField = oldValue?.[field];
+        if (oldField !== newValue[field]) changes.push(`${field}: ${oldField ?? '(unset)'} → ${newValue[field] ?? '(unset)'}`);
       }
-      console.log('Settings loaded:', userSettings);
-      resolve();
-    });
-  });
+    } else {
+      changes.push(`${oldValue ?? '(unset)'} → ${newValue}`);
+    }
+    if (changes.length) diff.push({ key, changes });
+  }
+  return diff;
 }
 
-
-async function saveSettings() {
-  // Only save the 'userSettings' part to avoid saving gmailLabels or other dynamic states to sync
-  const settingsToSave = {
-    rules: userSettings.rules,
-    spamKeywords: userSettings.spamKeywords,
-    spamSenderDomains: userSettings.spamSenderDomains,
-    autoCreateLabels: userSettings.autoCreateLabels,
-    processingInterval: userSettings.processingInterval,
-    enableSpamDetection: userSettings.enableSpamDetection,
-    enablePatternDetection: userSettings.enablePatternDetection,
-  };
-  return new Promise(resolve => {
-    chrome.storage.sync.set({ userSettings: settingsToSave }, () => {
-      if (chrome.runtime.lastError) {
-        console.error("Error saving settings:", chrome.runtime.lastError);
-      } else {
-        console.log('Settings saved.');
-      }
-      resolve();
-    });
-  });
+function previewSettingsImport(document, mode) {
+  const { errors, warnings, settings } = validateSettingsDocument(document);
+  if (errors.length) return { errors, warnings, diff: [] };
+  const current = getPersistableSettings();
+  return { errors, warnings, diff: diffSettings(current, combineImportedSettings(current, settings, mode)) };
 }
 
+async function importSettings(document, mode) {
+  const { errors, warnings, settings } = validateSettingsDocument(document);
+  if (errors.length) return { errors, warnings };
+  userSettings = { ...userSettings, ...combineImportedSettings(getPersistableSettings(), settings, mode) };
+  userSettings.rules = userSettings.rules.map(migrateRule);
+  await saveSettings();
+  updateProcessingAlarm();
+  console.log(`Settings imported (${mode}).`);
+  return { errors, warnings };
+}
 
 // --- Event Listeners ---
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -430,6 +3446,11 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   await saveSettings(); // Save initial settings/defaults
   await getLabels(); // Initial fetch of Gmail labels
 
+  // Older versions wrote a never-read messageRule_<id> key per message; the activity log replaces them
+  const localData = await chrome.storage.local.get(null);
+  const staleKeys = Object.keys(localData).filter(key => key.startsWith('messageRule_'));
+  if (staleKeys.length) await chrome.storage.local.remove(staleKeys);
+
   // Setup periodic alarm
   chrome.alarms.get(PROCESSING_ALARM_NAME, (alarm) => {
       if (!alarm || alarm.periodInMinutes !== userSettings.processingInterval) {
@@ -448,7 +3469,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     getAuthToken(true).then(token => {
         if (token) {
             console.log("Initial authentication successful.");
-            processUnreadEmails(); // Optionally run first process
+            processNewEmails(); // Optionally run first process
         } else {
             console.warn("Initial authentication failed or was skipped by user.");
         }
@@ -462,7 +3483,8 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     // Check if user is signed in before processing
     const token = await getAuthToken(false); // non-interactive check
     if (token) {
-        await processUnreadEmails();
+        await processNewEmails();
+        await runRetentionPolicies();
     } else {
         console.warn("User not authenticated, skipping email processing.");
         // Optionally notify user to sign in
@@ -474,6 +3496,8 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
             priority: 1
         });
     }
+  } else if (alarm.name === BACKFILL_ALARM_NAME) {
+    await runBackfillJobs();
   }
 });
 
@@ -491,7 +3515,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       console.log("Manual process trigger received.");
       const token = await getAuthToken(false);
       if (token) {
-        await processUnreadEmails();
+        await processNewEmails();
         sendResponse({ success: true, message: "Processing started." });
       } else {
         sendResponse({ success: false, message: "Authentication required. Please click the extension icon to sign in."});
@@ -500,59 +3524,186 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       }
     } else if (request.action === "getSettings") {
       await loadSettings(); // Ensure fresh
-      sendResponse({ success: true, settings: userSettings, gmailLabels: await getLabels() });
+      sendResponse({ success: true, settings: userSettings, settingsStatus, gmailLabels: await getLabels() });
     } else if (request.action === "saveSettings") {
-      userSettings = { ...userSettings, ...request.settings };
-      await saveSettings();
-      // If interval changed, update alarm
-      chrome.alarms.get(PROCESSING_ALARM_NAME, (alarm) => {
-          if (alarm && alarm.periodInMinutes !== userSettings.processingInterval) {
-              chrome.alarms.create(PROCESSING_ALARM_NAME, {
-                delayInMinutes: 1,
-                periodInMinutes: userSettings.processingInterval
-              });
-              console.log(`Processing alarm updated to every ${userSettings.processingInterval} minutes.`);
-          }
-      });
-      sendResponse({ success: true });
+      const settings = isPlainObject(request.settings) && Array.isArray(request.settings.rules)
+        ? { ...request.settings, rules: request.settings.rules.map(migrateRule) }
+        : request.settings;
+      const errors = validateSettingsUpdate(settings);
+      if (errors.length) {
+        sendResponse({ success: false, error: `Settings not saved: ${errors.join(' ')}` });
+      } else {
+        userSettings = { ...userSettings, ...settings };
+        await saveSettings();
+        updateProcessingAlarm(); // If interval changed, update alarm
+        sendResponse({ success: true, settingsStatus });
+      }
     } else if (request.action === "getSuggestedLabels") {
-        let { suggestedLabels = [] } = await chrome.storage.local.get('suggestedLabels');
+        const suggestedLabels = await updateSuggestedLabels(refreshSuggestionStatuses);
         sendResponse({ success: true, suggestedLabels });
     } else if (request.action === "approveSuggestion") {
-        let { suggestedLabels = [] } = await chrome.storage.local.get('suggestedLabels');
-        const suggestion = suggestedLabels.find(s => s.id === request.suggestionId);
-        if (suggestion) {
-            const newLabelId = await createLabelIfNeeded(suggestion.name);
-            if (newLabelId) {
-                suggestion.status = 'approved';
-                suggestion.createdLabelId = newLabelId;
-                // Optionally, add this new label as an automatic rule
-                if (userSettings.autoCreateLabels) { // Or a separate setting for auto-creating RULES from suggestions
-                    userSettings.rules.push({
-                        type: 'sender', // Assuming domain-based suggestions become sender rules
-                        value: `@${suggestion.basedOnDomain}`, // Or more specific if possible
-                        labelId: newLabelId,
-                        labelName: suggestion.name
-                    });
-                    await saveSettings();
-                }
-            } else {
-                suggestion.status = 'failed_creation'; // Label creation failed
-            }
-            await chrome.storage.local.set({ suggestedLabels });
-            sendResponse({ success: true, suggestion });
+        const result = await updateSuggestedLabels(async suggestedLabels => {
+            const suggestion = suggestedLabels.find(s => s.id === request.suggestionId);
+            if (!suggestion || !['pending', 'snoozed'].includes(suggestion.status)) return { error: 'Suggestion not found.' };
+            const error = request.changes ? editSuggestion(suggestion, request.changes) : null;
+            if (error) return { error };
+            return { suggestion, createdRule: await approveSuggestion(suggestion) };
+        });
+        if (result.error) {
+            sendResponse({ success: false, message: result.error });
         } else {
-            sendResponse({ success: false, message: 'Suggestion not found.' });
+            if (result.createdRule) {
+                await startBackfillJob(result.createdRule); // Label the existing mail the new rule covers
+            }
+            sendResponse({ success: true, suggestion: result.suggestion });
         }
-    } else if (request.action === "rejectSuggestion") {
-        let { suggestedLabels = [] } = await chrome.storage.local.get('suggestedLabels');
-        const suggestionIndex = suggestedLabels.findIndex(s => s.id === request.suggestionId);
-        if (suggestionIndex > -1) {
-            suggestedLabels[suggestionIndex].status = 'rejected';
-            await chrome.storage.local.set({ suggestedLabels });
-            sendResponse({ success: true, suggestionId: request.suggestionId });
-        } else {
-            sendResponse({ success: false, message: 'Suggestion not found.' });
+    } else if (["rejectSuggestion", "editSuggestion", "snoozeSuggestion", "reopenSuggestion"].includes(request.action)) {
+        const error = await updateSuggestedLabels(suggestedLabels => {
+            const suggestion = suggestedLabels.find(s => s.id === request.suggestionId);
+            if (!suggestion) return 'Suggestion not found.';
+            switch (request.action) {
+                case "rejectSuggestion":
+                    decideSuggestion(suggestion, 'rejected');
+                    return null;
+                case "editSuggestion":
+                    return editSuggestion(suggestion, request.changes || {});
+                case "snoozeSuggestion":
+                    return snoozeSuggestion(suggestion, request.days);
+                default:
+                    return reopenSuggestion(suggestion);
+            }
+        });
+        sendResponse(error ? { success: false, message: error } : { success: true, suggestionId: request.suggestionId });
+    } else if (request.action === "startBackfill") {
+        const rule = migrateRule(request.rule);
+        const job = await startBackfillJob(rule);
+        sendResponse({ success: true, job });
+    } else if (request.action === "previewRule") {
+        try {
+            const preview = await previewRule(migrateRule(request.rule), request.messageCount);
+            sendResponse({ success: true, ...preview });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "previewRetentionPolicy") {
+        try {
+            sendResponse({ success: true, ...await previewRetentionPolicy(request.policy) });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "runRetentionPolicies") {
+        try {
+            const { applied } = await runRetentionPolicies(true);
+            sendResponse({ success: true, message: `Retention policies ${userSettings.dryRun ? 'would change' : 'changed'} ${applied} messages.` });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "testGmailQuery") {
+        try {
+            sendResponse({ success: true, ...await countGmailQueryMatches(request.query) });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "getNewsletters") {
+        const { newsletters = {} } = await chrome.storage.local.get('newsletters');
+        sendResponse({ success: true, newsletters: Object.values(newsletters).sort((a, b) => b.count - a.count) });
+    } else if (request.action === "refreshNewsletterStats") {
+        try {
+            await refreshNewsletterReadStats();
+            const { newsletters = {} } = await chrome.storage.local.get('newsletters');
+            sendResponse({ success: true, newsletters: Object.values(newsletters).sort((a, b) => b.count - a.count) });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "setNewsletterRule") {
+        try {
+            await loadSettings();
+            const result = await setNewsletterRule(request.address, request.options || {});
+            sendResponse(result.error ? { success: false, message: result.error } : { success: true, rule: result.rule });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "unsubscribeNewsletter") {
+        try {
+            const result = await unsubscribeNewsletter(request.address);
+            sendResponse(result.error ? { success: false, message: result.error } : { success: true, ...result });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "getActivityLog") {
+        await activityLogWriteChain;
+        const { activityLog = [] } = await chrome.storage.local.get('activityLog');
+        sendResponse({ success: true, activityLog });
+    } else if (request.action === "undoActivity") {
+        try {
+            const result = await undoActivity({ entryIds: request.entryIds, runId: request.runId });
+            sendResponse({ success: true, ...result });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "getBackfillJobs") {
+        sendResponse({ success: true, jobs: await loadBackfillJobs() });
+    } else if (request.action === "cancelBackfill") {
+        const job = await cancelBackfillJob(request.jobId);
+        sendResponse(job ? { success: true, job } : { success: false, message: 'Backfill job not found or already finished.' });
+    } else if (request.action === "getSpamModelStats") {
+        sendResponse({ success: true, stats: getSpamModelStats(await loadSpamModel()) });
+    } else if (request.action === "trainSpamModel") {
+        try {
+            await getLabels();
+            const result = await trainSpamModelFromLabel(request.labelId, request.messageCount, request.asSpam === true);
+            sendResponse({ success: true, ...result });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "resetSpamModel") {
+        await resetSpamModel();
+        sendResponse({ success: true, stats: getSpamModelStats(spamModel) });
+    } else if (request.action === "getRepliedContacts") {
+        sendResponse({ success: true, repliedContacts: await loadRepliedContacts() });
+    } else if (request.action === "refreshRepliedContacts") {
+        try {
+            sendResponse({ success: true, repliedContacts: await refreshRepliedContacts() });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "getFalsePositives") {
+        const { falsePositives = [] } = await chrome.storage.local.get('falsePositives');
+        sendResponse({ success: true, falsePositives });
+    } else if (request.action === "resolveFalsePositive") {
+        const falsePositive = await resolveFalsePositive(request.falsePositiveId, request.resolution);
+        sendResponse(falsePositive
+            ? { success: true, falsePositive, settings: userSettings }
+            : { success: false, message: 'False positive not found.' });
+    } else if (request.action === "exportSettings") {
+        await loadSettings();
+        sendResponse({ success: true, document: exportSettings() });
+    } else if (request.action === "previewSettingsImport") {
+        await loadSettings();
+        sendResponse({ success: true, ...previewSettingsImport(request.document, request.mode) });
+    } else if (request.action === "importSettings") {
+        await loadSettings();
+        const result = await importSettings(request.document, request.mode);
+        sendResponse({ success: result.errors.length === 0, ...result });
+    } else if (request.action === "previewGmailFilterImport") {
+        try {
+            sendResponse({ success: true, filters: await previewGmailFilterImport() });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "importGmailFilters") {
+        try {
+            const rules = await importGmailFilters(request.filterIds || []);
+            sendResponse({ success: true, rules });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
+        }
+    } else if (request.action === "exportRuleToGmailFilter") {
+        try {
+            const result = await exportRuleToGmailFilter(migrateRule(request.rule));
+            sendResponse(result.error ? { success: false, message: result.error, warnings: result.warnings } : { success: true, ...result });
+        } catch (error) {
+            sendResponse({ success: false, message: error.message });
         }
     } else if (request.action === "clearNotification") {
         chrome.notifications.clear(request.notificationId, (wasCleared) => {
@@ -572,41 +3723,27 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
     console.log(`Notification button clicked: ${notificationId}, button index: ${buttonIndex}`);
     if (notificationId.startsWith('suggestion_')) {
         const suggestionId = notificationId.substring('suggestion_'.length);
-        let { suggestedLabels = [] } = await chrome.storage.local.get('suggestedLabels');
-        const suggestion = suggestedLabels.find(s => s.id === suggestionId);
-
-        if (suggestion) {
+        const { found, createdRule } = await updateSuggestedLabels(async suggestedLabels => {
+            const suggestion = suggestedLabels.find(s => s.id === suggestionId);
+            if (!suggestion || !['pending', 'snoozed'].includes(suggestion.status)) return { found: false }; // Decided in the options page meanwhile
             if (buttonIndex === 0) { // Approve & Create
-                const newLabelId = await createLabelIfNeeded(suggestion.name);
-                if (newLabelId) {
-                    suggestion.status = 'approved';
-                    suggestion.createdLabelId = newLabelId;
-                    // Optionally, add this new label as an automatic rule (as in approveSuggestion handler)
-                    // This part can be refactored into a common function
-                    if (userSettings.autoCreateLabels) {
-                         userSettings.rules.push({
-                            type: 'sender',
-                            value: `@${suggestion.basedOnDomain}`,
-                            labelId: newLabelId,
-                            labelName: suggestion.name
-                        });
-                        await saveSettings();
-                        console.log(`Rule auto-created for approved suggestion: ${suggestion.name}`);
-                    }
-                    console.log(`Suggestion approved and label "${suggestion.name}" created/found.`);
-                     // Optionally, find emails that would match this new rule and label them now
-                } else {
-                    suggestion.status = 'failed_creation';
-                    console.error(`Failed to create label for suggestion: ${suggestion.name}`);
-                }
-            } else if (buttonIndex === 1) { // Reject
-                suggestion.status = 'rejected';
-                console.log(`Suggestion rejected: ${suggestion.name}`);
+                return { found: true, createdRule: await approveSuggestion(suggestion) };
+            }
+            decideSuggestion(suggestion, 'rejected');
+            console.log(`Suggestion rejected: ${suggestion.name}`);
+            return { found: true, createdRule: null };
+        });
+
+        if (found) {
+            if (createdRule) {
+                await startBackfillJob(createdRule); // Label the existing mail the new rule covers
             }
-            await chrome.storage.local.set({ suggestedLabels });
             // Inform options page if open to refresh
             chrome.runtime.sendMessage({ action: "refreshSuggestions" });
         }
+    } else if (notificationId.startsWith('phishing_')) {
+        const messageId = notificationId.substring('phishing_'.length);
+        chrome.tabs.create({ url: `https://mail.google.com/mail/u/0/#all/${messageId}` });
     }
     chrome.notifications.clear(notificationId);
 });
@@ -625,4 +3762,10 @@ loadSettings().then(() => {
           console.log(`Processing alarm (re)set on SW start for every ${userSettings.processingInterval || DEFAULT_PROCESSING_INTERVAL_MINUTES} minutes.`);
       }
   });
+  // Resume any backfill job interrupted by the service worker shutting down
+  loadBackfillJobs().then(jobs => {
+      if (jobs.some(j => j.status === 'queued' || j.status === 'running')) {
+          runBackfillJobs();
+      }
+  });
 });
\ No newline at end of file
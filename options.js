@@ -1,28 +1,176 @@
 // options.js
 document.addEventListener('DOMContentLoaded', () => {
     const rulesListDiv = document.getElementById('rulesList');
-    const ruleTypeSelect = document.getElementById('ruleType');
-    const ruleValueInput = document.getElementById('ruleValue');
-    const ruleLabelNameInput = document.getElementById('ruleLabelName');
+    const backfillJobsListDiv = document.getElementById('backfillJobsList');
+    const conditionBuilderDiv = document.getElementById('conditionBuilder');
+    const actionBuilderDiv = document.getElementById('actionBuilder');
+    const addActionBtn = document.getElementById('addActionBtn');
+    const ruleStopProcessingCheckbox = document.getElementById('ruleStopProcessing');
+    const previewNewRuleBtn = document.getElementById('previewNewRuleBtn');
+    const previewCountInput = document.getElementById('previewCount');
+    const rulePreviewDiv = document.getElementById('rulePreview');
     const addRuleBtn = document.getElementById('addRuleBtn');
+    const loadGmailFiltersBtn = document.getElementById('loadGmailFiltersBtn');
+    const gmailFiltersListDiv = document.getElementById('gmailFiltersList');
 
     const enableSpamDetectionCheckbox = document.getElementById('enableSpamDetection');
     const spamKeywordsTextarea = document.getElementById('spamKeywords');
     const spamSenderDomainsTextarea = document.getElementById('spamSenderDomains');
+    const trustedSendersTextarea = document.getElementById('trustedSenders');
+    const trustedDomainsTextarea = document.getElementById('trustedDomains');
+    const autoTrustRepliedSendersCheckbox = document.getElementById('autoTrustRepliedSenders');
+    const repliedContactsStatusSpan = document.getElementById('repliedContactsStatus');
+    const refreshRepliedContactsBtn = document.getElementById('refreshRepliedContactsBtn');
+    const signalAuthFailureCheckbox = document.getElementById('signalAuthFailure');
+    const signalDisplayNameSpoofingCheckbox = document.getElementById('signalDisplayNameSpoofing');
+    const signalReplyToMismatchCheckbox = document.getElementById('signalReplyToMismatch');
+    const protectedBrandsTextarea = document.getElementById('protectedBrands');
+    const enablePhishingDetectionCheckbox = document.getElementById('enablePhishingDetection');
+    const phishingDomainsTextarea = document.getElementById('phishingDomains');
+    const spamWeightsDiv = document.getElementById('spamWeights');
+    const spamThresholdSuspiciousInput = document.getElementById('spamThresholdSuspicious');
+    const spamThresholdSpamInput = document.getElementById('spamThresholdSpam');
+    const spamKeywordWeightsTextarea = document.getElementById('spamKeywordWeights');
+    const falsePositivesListDiv = document.getElementById('falsePositivesList');
+    const spamModelStatsP = document.getElementById('spamModelStats');
+    const trainMessageCountInput = document.getElementById('trainMessageCount');
+    const trainLabelSelect = document.getElementById('trainLabel');
+    const trainAsSelect = document.getElementById('trainAs');
+    const trainSpamModelBtn = document.getElementById('trainSpamModelBtn');
+    const resetSpamModelBtn = document.getElementById('resetSpamModelBtn');
 
     const suggestedLabelsListDiv = document.getElementById('suggestedLabelsList');
+    const suggestionHistoryListDiv = document.getElementById('suggestionHistoryList');
 
     const processingIntervalInput = document.getElementById('processingInterval');
+    const quotaUnitsPerSecondInput = document.getElementById('quotaUnitsPerSecond');
     const autoCreateLabelsCheckbox = document.getElementById('autoCreateLabels');
     const enablePatternDetectionCheckbox = document.getElementById('enablePatternDetection');
+    const dryRunCheckbox = document.getElementById('dryRun');
     const saveSettingsBtn = document.getElementById('saveSettingsBtn');
     const forceProcessBtn = document.getElementById('forceProcessBtn');
     const lastProcessedP = document.getElementById('lastProcessed');
+    const exportSettingsBtn = document.getElementById('exportSettingsBtn');
+    const importSettingsFileInput = document.getElementById('importSettingsFile');
+    const importModeSelect = document.getElementById('importMode');
+    const previewImportBtn = document.getElementById('previewImportBtn');
+    const importPreviewDiv = document.getElementById('importPreview');
+
+    const activityFilterTextInput = document.getElementById('activityFilterText');
+    const activityFilterTypeSelect = document.getElementById('activityFilterType');
+    const refreshActivityBtn = document.getElementById('refreshActivityBtn');
+    const activityLogListDiv = document.getElementById('activityLogList');
+    const newsletterFilterTextInput = document.getElementById('newsletterFilterText');
+    const refreshNewsletterStatsBtn = document.getElementById('refreshNewsletterStatsBtn');
+    const newslettersListDiv = document.getElementById('newslettersList');
+    const retentionPoliciesListDiv = document.getElementById('retentionPoliciesList');
+    const retentionActionSelect = document.getElementById('retentionAction');
+    const retentionLabelSelect = document.getElementById('retentionLabel');
+    const retentionDaysInput = document.getElementById('retentionDays');
+    const addRetentionPolicyBtn = document.getElementById('addRetentionPolicyBtn');
+    const runRetentionBtn = document.getElementById('runRetentionBtn');
 
     const statusDiv = document.getElementById('status');
+    const settingsWarningDiv = document.getElementById('settingsWarning');
 
     let currentSettings = {};
     let currentGmailLabels = {}; // To store {id: name}
+    let currentActivityLog = [];
+    let currentNewsletters = [];
+
+    const CONDITION_TYPES = {
+        sender: 'Sender (From)',
+        subject: 'Subject',
+        keyword: 'Subject or Body',
+        header: 'Header...',
+        hasAttachment: 'Has attachment',
+        attachmentName: 'Attachment filename',
+        attachmentType: 'Attachment type',
+        attachmentSize: 'Attachment size (KB)',
+        gmailQuery: 'Gmail search query'
+    };
+    const CONDITION_OPERATORS = {
+        contains: 'contains',
+        equals: 'equals',
+        startsWith: 'starts with',
+        endsWith: 'ends with',
+        regex: 'matches regex',
+        domainEquals: 'domain equals'
+    };
+    const SIZE_OPERATORS = {
+        greaterThan: 'larger than',
+        lessThan: 'smaller than'
+    };
+    const COMMON_HEADERS = ['To', 'Cc', 'Reply-To', 'List-Id', 'X-Mailer'];
+    const ATTACHMENT_TYPES = ['pdf', 'calendar', 'image', 'application/zip', 'text/csv'];
+    const RETENTION_ACTIONS = { archive: 'Archive', trash: 'Trash', markRead: 'Mark read' };
+    const RUN_SOURCES = { processing: 'Processing run', backfill: 'Backfill', retention: 'Retention' };
+
+    // Operators offered for a condition type; an empty set means the type has no operator
+    function getOperatorsForType(type) {
+        if (type === 'attachmentSize') return SIZE_OPERATORS;
+        if (type === 'hasAttachment' || type === 'attachmentType' || type === 'gmailQuery') return {};
+        return CONDITION_OPERATORS;
+    }
+    const ACTION_TYPES = {
+        addLabel: 'Add label',
+        removeLabel: 'Remove label',
+        archive: 'Archive (skip inbox)',
+        star: 'Star',
+        markImportant: 'Mark important',
+        markRead: 'Mark as read',
+        keepUnread: 'Keep unread',
+        trash: 'Move to trash'
+    };
+    const LABEL_ACTION_TYPES = ['addLabel', 'removeLabel'];
+    const SNOOZE_OPTIONS = [[1, '1 day'], [7, '1 week'], [30, '30 days']];
+    const SUGGESTION_STATUSES = {
+        approved: 'Approved',
+        rejected: 'Rejected',
+        expired: 'Expired',
+        failed_creation: 'Label creation failed'
+    };
+    const SPAM_SIGNALS = {
+        keyword: 'Spam keyword (per keyword found)',
+        senderDomain: 'Suspicious sender domain',
+        punctuation: 'Repeated !! or ?? in subject',
+        suspiciousTld: 'Sender domain without TLD',
+        capsRatio: 'Mostly capital letters in subject',
+        linkCount: 'Large number of links',
+        authFailure: 'SPF/DKIM/DMARC failure',
+        displayNameSpoofing: 'Display-name spoofing',
+        replyToMismatch: 'Reply-To domain mismatch',
+        bayes: 'Learned classifier (scaled by probability)'
+    };
+    const PHISHING_FINDINGS = {
+        knownBadDomain: 'Known phishing domain',
+        lookalikeDomain: 'Look-alike domain',
+        brandLinkMismatch: 'Link text shows a protected brand',
+        punycodeDomain: 'Internationalized domain',
+        ipAddressUrl: 'IP address link',
+        mismatchedLink: 'Link text and target differ',
+        urlShortener: 'URL shortener'
+    };
+    const GROUP_OPS = {
+        and: 'All of (AND)',
+        or: 'Any of (OR)',
+        not: 'None of (NOT)'
+    };
+
+    function createEmptyCondition() {
+        return { op: 'and', conditions: [createEmptyLeaf()] };
+    }
+
+    function createEmptyLeaf() {
+        return { type: 'sender', operator: 'contains', value: '' };
+    }
+
+    let newRuleCondition = createEmptyCondition();
+    let newRuleActions = createDefaultActions();
+
+    function createDefaultActions() {
+        return [{ type: 'addLabel', labelName: '' }];
+    }
 
     // Tabs
     const tabs = document.querySelectorAll('.tab-button');
@@ -42,27 +190,70 @@ document.addEventListener('DOMContentLoaded', () => {
         setTimeout(() => statusDiv.textContent = '', 3000);
     }
 
+    // Shows problems found while loading stored settings and any fallback away from sync storage.
+    function renderSettingsWarning(settingsStatus) {
+        const warnings = [...(settingsStatus?.loadWarnings || [])];
+        if (settingsStatus?.saveWarning) warnings.unshift(settingsStatus.saveWarning);
+        settingsWarningDiv.innerHTML = '';
+        settingsWarningDiv.style.display = warnings.length ? 'block' : 'none';
+        if (!warnings.length) return;
+
+        const title = document.createElement('strong');
+        title.textContent = 'Settings storage warning';
+        const list = document.createElement('ul');
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            list.appendChild(item);
+        });
+        settingsWarningDiv.append(title, list);
+    }
+
     async function loadSettingsAndLabels() {
         try {
             const response = await chrome.runtime.sendMessage({ action: "getSettings" });
             if (response && response.success) {
                 currentSettings = response.settings || {}; // Ensure currentSettings is an object
                 currentGmailLabels = response.gmailLabels || {};
+                renderSettingsWarning(response.settingsStatus);
 
                 // Populate Rules
-                currentSettings.rules = currentSettings.rules || [];
+                normalizeRulePriorities();
                 renderRules();
+                renderRetentionPolicies();
+                renderRetentionLabelOptions();
 
                 // Populate Spam Settings
                 enableSpamDetectionCheckbox.checked = currentSettings.enableSpamDetection !== false; // default true
                 spamKeywordsTextarea.value = (currentSettings.spamKeywords || []).join('\n');
                 spamSenderDomainsTextarea.value = (currentSettings.spamSenderDomains || []).join('\n');
+                trustedSendersTextarea.value = (currentSettings.trustedSenders || []).join('\n');
+                trustedDomainsTextarea.value = (currentSettings.trustedDomains || []).join('\n');
+                autoTrustRepliedSendersCheckbox.checked = currentSettings.autoTrustRepliedSenders === true;
+                loadRepliedContacts();
+                const spamSignals = currentSettings.spamSignals || {};
+                signalAuthFailureCheckbox.checked = spamSignals.authFailure !== false; // default true
+                signalDisplayNameSpoofingCheckbox.checked = spamSignals.displayNameSpoofing !== false; // default true
+                signalReplyToMismatchCheckbox.checked = spamSignals.replyToMismatch !== false; // default true
+                protectedBrandsTextarea.value = (currentSettings.protectedBrands || [])
+                    .map(brand => `${brand.name}=${brand.domains.join(',')}`).join('\n');
+                enablePhishingDetectionCheckbox.checked = currentSettings.enablePhishingDetection !== false; // default true
+                phishingDomainsTextarea.value = (currentSettings.phishingDomains || []).join('\n');
+                renderSpamWeights(currentSettings.spamWeights || {});
+                spamThresholdSuspiciousInput.value = currentSettings.spamThresholds?.suspicious ?? 3;
+                spamThresholdSpamInput.value = currentSettings.spamThresholds?.spam ?? 5;
+                renderKeywordWeights(currentSettings.spamKeywordWeights || {});
+                loadFalsePositives();
+                renderTrainLabelOptions();
+                loadSpamModelStats();
 
 
                 // Populate General Settings
                 processingIntervalInput.value = currentSettings.processingInterval || 5;
+                quotaUnitsPerSecondInput.value = currentSettings.quotaUnitsPerSecond || 200;
                 autoCreateLabelsCheckbox.checked = currentSettings.autoCreateLabels === true;
                 enablePatternDetectionCheckbox.checked = currentSettings.enablePatternDetection !== false; // default true
+                dryRunCheckbox.checked = currentSettings.dryRun === true;
                 lastProcessedP.textContent = `Last processed: ${currentSettings.lastProcessedTimestamp ? new Date(currentSettings.lastProcessedTimestamp).toLocaleString() : 'N/A'}`;
 
                 loadSuggestedLabels();
@@ -75,6 +266,293 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function isConditionGroup(node) {
+        return !!node && Array.isArray(node.conditions);
+    }
+
+    // Rule values and label names can come from email content (e.g. approved suggestions), so
+    // anything interpolated into innerHTML goes through here.
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    // HTML with the field names in bold by default; asHtml = false gives plain text for textContent.
+    function describeCondition(node, asHtml = true) {
+        if (!node) return '(none)';
+        const bold = text => asHtml ? `<b>${text}</b>` : text;
+        const escape = text => asHtml ? escapeHtml(text) : String(text ?? '');
+        if (!isConditionGroup(node)) {
+            if (node.type === 'hasAttachment') return bold('has attachment');
+            const value = escape(node.value);
+            if (node.type === 'attachmentType') return `${bold('attachment type')} is "${value}"`;
+            if (node.type === 'attachmentSize') return `${bold('attachment size')} ${SIZE_OPERATORS[node.operator] || SIZE_OPERATORS.greaterThan} ${value} KB`;
+            if (node.type === 'gmailQuery') return `${bold('Gmail search')} "${value}"`;
+            const field = node.type === 'header' ? `header ${escape(node.header)}` : node.type;
+            const operator = escape(CONDITION_OPERATORS[node.operator || 'contains'] || node.operator);
+            return `${bold(field)} ${operator} "${value}"`;
+        }
+        const parts = node.conditions.map(child => describeCondition(child, asHtml));
+        if (node.op === 'not') {
+            return `NOT (${parts.join(' OR ')})`;
+        }
+        const joined = parts.join(node.op === 'or' ? ' OR ' : ' AND ');
+        return parts.length > 1 ? `(${joined})` : joined;
+    }
+
+    // Returns an error message for the first invalid node in the tree, or null if it is valid.
+    function validateCondition(node) {
+        if (isConditionGroup(node)) {
+            if (node.conditions.length === 0) return 'Condition groups cannot be empty.';
+            for (const child of node.conditions) {
+                const error = validateCondition(child);
+                if (error) return error;
+            }
+            return null;
+        }
+        if (node.type === 'hasAttachment') return null;
+        if (!node.value || !node.value.trim()) return 'Condition values cannot be empty.';
+        if (node.type === 'attachmentSize' && !(parseFloat(node.value) > 0)) return 'Attachment size must be a positive number of KB.';
+        if (node.type === 'header' && (!node.header || !node.header.trim())) return 'Header conditions need a header name.';
+        if (node.operator === 'regex') {
+            try {
+                new RegExp(node.value, 'i');
+            } catch (e) {
+                return `Invalid regular expression "${node.value}": ${e.message}`;
+            }
+        }
+        return null;
+    }
+
+    // onChange re-renders the builder the tree belongs to after a structural change
+    function renderConditionGroup(group, parentGroup, onChange = renderConditionBuilder) {
+        const groupDiv = document.createElement('div');
+        groupDiv.className = 'condition-group';
+
+        const header = document.createElement('div');
+        header.className = 'condition-row';
+        const opSelect = document.createElement('select');
+        Object.entries(GROUP_OPS).forEach(([op, text]) => opSelect.add(new Option(text, op, false, group.op === op)));
+        opSelect.addEventListener('change', () => { group.op = opSelect.value; });
+        header.appendChild(opSelect);
+
+        const addConditionBtn = document.createElement('button');
+        addConditionBtn.textContent = '+ Condition';
+        addConditionBtn.className = 'secondary';
+        addConditionBtn.addEventListener('click', () => {
+            group.conditions.push(createEmptyLeaf());
+            onChange();
+        });
+        header.appendChild(addConditionBtn);
+
+        const addGroupBtn = document.createElement('button');
+        addGroupBtn.textContent = '+ Group';
+        addGroupBtn.className = 'secondary';
+        addGroupBtn.addEventListener('click', () => {
+            group.conditions.push({ op: 'or', conditions: [createEmptyLeaf()] });
+            onChange();
+        });
+        header.appendChild(addGroupBtn);
+
+        if (parentGroup) {
+            header.appendChild(createRemoveNodeButton(group, parentGroup, onChange));
+        }
+        groupDiv.appendChild(header);
+
+        group.conditions.forEach(child => {
+            if (isConditionGroup(child)) {
+                groupDiv.appendChild(renderConditionGroup(child, group, onChange));
+            } else {
+                groupDiv.appendChild(renderConditionLeaf(child, group, onChange));
+            }
+        });
+        return groupDiv;
+    }
+
+    function renderConditionLeaf(leaf, parentGroup, onChange = renderConditionBuilder) {
+        const row = document.createElement('div');
+        row.className = 'condition-row';
+
+        const typeSelect = document.createElement('select');
+        Object.entries(CONDITION_TYPES).forEach(([type, text]) => typeSelect.add(new Option(text, type, false, leaf.type === type)));
+        typeSelect.addEventListener('change', () => {
+            leaf.type = typeSelect.value;
+            // Operators differ per type; fall back to the first one the new type offers
+            const operators = Object.keys(getOperatorsForType(leaf.type));
+            leaf.operator = operators.includes(leaf.operator) ? leaf.operator : operators[0];
+            if (leaf.type === 'hasAttachment') leaf.value = '';
+            onChange();
+        });
+        row.appendChild(typeSelect);
+
+        if (leaf.type === 'header') {
+            const headerInput = document.createElement('input');
+            headerInput.type = 'text';
+            headerInput.value = leaf.header || '';
+            headerInput.placeholder = 'Header name';
+            headerInput.setAttribute('list', 'commonHeaders');
+            headerInput.addEventListener('input', () => { leaf.header = headerInput.value.trim(); });
+            row.appendChild(headerInput);
+        }
+
+        const operators = getOperatorsForType(leaf.type);
+        if (Object.keys(operators).length > 0) {
+            const operatorSelect = document.createElement('select');
+            const selectedOperator = leaf.operator || Object.keys(operators)[0];
+            Object.entries(operators).forEach(([operator, text]) => operatorSelect.add(new Option(text, operator, false, selectedOperator === operator)));
+            operatorSelect.addEventListener('change', () => { leaf.operator = operatorSelect.value; });
+            row.appendChild(operatorSelect);
+        }
+
+        if (leaf.type !== 'hasAttachment') {
+            const valueInput = document.createElement('input');
+            valueInput.type = leaf.type === 'attachmentSize' ? 'number' : 'text';
+            valueInput.value = leaf.value || '';
+            if (leaf.type === 'attachmentType') {
+                valueInput.placeholder = 'pdf, calendar, image or a MIME type';
+                valueInput.setAttribute('list', 'attachmentTypes');
+            } else if (leaf.type === 'attachmentSize') {
+                valueInput.placeholder = 'Size in KB';
+                valueInput.min = '1';
+            } else if (leaf.type === 'gmailQuery') {
+                valueInput.placeholder = 'e.g., from:(a@x.com OR b@y.com) has:attachment larger:2M';
+            } else {
+                valueInput.placeholder = "e.g., newsletter@example.com or 'Invoice'";
+            }
+            valueInput.addEventListener('input', () => { leaf.value = valueInput.value; });
+            row.appendChild(valueInput);
+        }
+
+        if (leaf.type === 'gmailQuery') {
+            const testResult = document.createElement('span');
+            const testBtn = document.createElement('button');
+            testBtn.textContent = 'Test query';
+            testBtn.className = 'secondary';
+            testBtn.addEventListener('click', () => testGmailQuery(leaf.value, testResult));
+            row.append(testBtn, testResult);
+        }
+
+        row.appendChild(createRemoveNodeButton(leaf, parentGroup, onChange));
+        return row;
+    }
+
+    async function testGmailQuery(query, resultSpan) {
+        if (!query || !query.trim()) {
+            resultSpan.textContent = 'Enter a query first.';
+            return;
+        }
+        resultSpan.textContent = 'Searching...';
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "testGmailQuery", query });
+            if (response && response.success) {
+                resultSpan.textContent = `${response.count}${response.hasMore ? '+' : ''} matching message${response.count === 1 ? '' : 's'}`;
+            } else {
+                resultSpan.textContent = `Error: ${response?.message || 'Unknown error'}`;
+            }
+        } catch (e) {
+            resultSpan.textContent = `Error: ${e.message}`;
+        }
+    }
+
+    function createRemoveNodeButton(node, parentGroup, onChange = renderConditionBuilder) {
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.className = 'danger';
+        removeBtn.addEventListener('click', () => {
+            parentGroup.conditions.splice(parentGroup.conditions.indexOf(node), 1);
+            onChange();
+        });
+        return removeBtn;
+    }
+
+    function renderConditionBuilder() {
+        conditionBuilderDiv.innerHTML = '';
+        conditionBuilderDiv.appendChild(renderConditionGroup(newRuleCondition, null));
+    }
+
+    // Shared suggestions for the header name inputs of header conditions
+    const commonHeadersList = document.createElement('datalist');
+    commonHeadersList.id = 'commonHeaders';
+    COMMON_HEADERS.forEach(header => commonHeadersList.appendChild(new Option(header)));
+    document.body.appendChild(commonHeadersList);
+
+    const attachmentTypesList = document.createElement('datalist');
+    attachmentTypesList.id = 'attachmentTypes';
+    ATTACHMENT_TYPES.forEach(type => attachmentTypesList.appendChild(new Option(type)));
+    document.body.appendChild(attachmentTypesList);
+
+    function describeActions(actions, asHtml = true) {
+        if (!actions || actions.length === 0) return '(none)';
+        return actions.map(action => {
+            const text = ACTION_TYPES[action.type] || action.type;
+            if (!asHtml) return LABEL_ACTION_TYPES.includes(action.type) ? `${text} ${action.labelName}` : text;
+            return LABEL_ACTION_TYPES.includes(action.type) ? `${escapeHtml(text)} <b>${escapeHtml(action.labelName)}</b>` : escapeHtml(text);
+        }).join(', ');
+    }
+
+    function validateActions(actions) {
+        if (!actions || actions.length === 0) return 'A rule needs at least one action.';
+        for (const action of actions) {
+            if (LABEL_ACTION_TYPES.includes(action.type) && (!action.labelName || !action.labelName.trim())) {
+                return 'Label actions need a label name.';
+            }
+        }
+        const types = actions.map(action => action.type);
+        if (types.includes('markRead') && types.includes('keepUnread')) {
+            return 'A rule cannot both mark as read and keep unread.';
+        }
+        return null;
+    }
+
+    function renderActionBuilder() {
+        actionBuilderDiv.innerHTML = '';
+        newRuleActions.forEach((action, index) => {
+            const row = document.createElement('div');
+            row.className = 'action-row';
+
+            const typeSelect = document.createElement('select');
+            Object.entries(ACTION_TYPES).forEach(([type, text]) => typeSelect.add(new Option(text, type, false, action.type === type)));
+            row.appendChild(typeSelect);
+
+            const labelInput = document.createElement('input');
+            labelInput.type = 'text';
+            labelInput.value = action.labelName || '';
+            labelInput.placeholder = 'e.g., Newsletters or Finance (case sensitive)';
+            labelInput.style.display = LABEL_ACTION_TYPES.includes(action.type) ? '' : 'none';
+            labelInput.addEventListener('input', () => { action.labelName = labelInput.value.trim(); });
+            row.appendChild(labelInput);
+
+            typeSelect.addEventListener('change', () => {
+                action.type = typeSelect.value;
+                labelInput.style.display = LABEL_ACTION_TYPES.includes(action.type) ? '' : 'none';
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.className = 'danger';
+            removeBtn.addEventListener('click', () => {
+                newRuleActions.splice(index, 1);
+                renderActionBuilder();
+            });
+            row.appendChild(removeBtn);
+
+            actionBuilderDiv.appendChild(row);
+        });
+    }
+
+    addActionBtn.addEventListener('click', () => {
+        newRuleActions.push({ type: 'archive' });
+        renderActionBuilder();
+    });
+
+    // Keep currentSettings.rules in priority order so array position, display order and
+    // priority always agree; the background evaluates rules by ascending priority.
+    function normalizeRulePriorities() {
+        currentSettings.rules = (currentSettings.rules || [])
+            .map((rule, index) => ({ rule, index }))
+            .sort((a, b) => (a.rule.priority ?? a.index) - (b.rule.priority ?? b.index) || a.index - b.index)
+            .map(({ rule }, index) => ({ ...rule, priority: index }));
+    }
+
     function renderRules() {
         rulesListDiv.innerHTML = '';
         if (!currentSettings.rules || currentSettings.rules.length === 0) {
@@ -84,8 +562,15 @@ document.addEventListener('DOMContentLoaded', () => {
         currentSettings.rules.forEach((rule, index) => {
             const item = document.createElement('div');
             item.className = 'rule-item';
+            item.draggable = true;
+            item.dataset.index = index;
             item.innerHTML = `
-                <span>Condition: <b>${rule.type}</b> = "${rule.value}", Label: <b>${rule.labelName}</b></span>
+                <span class="drag-handle" title="Drag to reorder">&#9776;</span>
+                <span class="rule-description">#${index + 1} Condition: ${describeCondition(rule.condition)}<br>Actions: ${describeActions(rule.actions)}${rule.gmailFilterId ? '<br><small>Also a Gmail filter</small>' : ''}</span>
+                <label class="inline-label"><input type="checkbox" data-index="${index}" class="stop-processing-rule" ${rule.stopProcessing ? 'checked' : ''}> Stop processing further rules</label>
+                <button data-index="${index}" class="preview-rule secondary">Preview</button>
+                <button data-index="${index}" class="backfill-rule secondary">Apply to existing mail</button>
+                <button data-index="${index}" class="export-filter-rule secondary">Create Gmail filter</button>
                 <button data-index="${index}" class="remove-rule danger">Remove</button>
             `;
             rulesListDiv.appendChild(item);
@@ -96,15 +581,151 @@ document.addEventListener('DOMContentLoaded', () => {
                 removeRule(parseInt(e.target.dataset.index));
             });
         });
+
+        document.querySelectorAll('.preview-rule').forEach(button => {
+            button.addEventListener('click', (e) => {
+                previewRule(currentSettings.rules[parseInt(e.target.dataset.index)]);
+            });
+        });
+
+        document.querySelectorAll('.backfill-rule').forEach(button => {
+            button.addEventListener('click', (e) => {
+                startBackfill(currentSettings.rules[parseInt(e.target.dataset.index)]);
+            });
+        });
+
+        document.querySelectorAll('.export-filter-rule').forEach(button => {
+            button.addEventListener('click', (e) => {
+                exportRuleToGmailFilter(parseInt(e.target.dataset.index));
+            });
+        });
+
+        document.querySelectorAll('.stop-processing-rule').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                currentSettings.rules[parseInt(e.target.dataset.index)].stopProcessing = e.target.checked;
+                displayStatus('Rule updated locally. Save all settings to apply.', false);
+            });
+        });
+
+        rulesListDiv.querySelectorAll('.rule-item').forEach(item => {
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', item.dataset.index);
+                item.classList.add('dragging');
+            });
+            item.addEventListener('dragend', () => item.classList.remove('dragging'));
+            item.addEventListener('dragover', (e) => e.preventDefault());
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                moveRule(parseInt(e.dataTransfer.getData('text/plain')), parseInt(item.dataset.index));
+            });
+        });
     }
 
-    addRuleBtn.addEventListener('click', async () => {
-        const type = ruleTypeSelect.value;
-        const value = ruleValueInput.value.trim();
-        const labelName = ruleLabelNameInput.value.trim();
+    async function exportRuleToGmailFilter(index) {
+        const rule = currentSettings.rules[index];
+        const ruleError = validateCondition(rule.condition) || validateActions(rule.actions);
+        if (ruleError) {
+            displayStatus(ruleError, true);
+            return;
+        }
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "exportRuleToGmailFilter", rule });
+            if (response && response.success) {
+                rule.gmailFilterId = response.filter.id;
+                renderRules();
+                displayStatus(['Gmail filter created.', ...response.warnings].join(' '), false);
+            } else {
+                displayStatus(`Could not create Gmail filter: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception creating Gmail filter: ${e.message}`, true);
+        }
+    }
 
-        if (!value || !labelName) {
-            displayStatus('Rule value and label name cannot be empty.', true);
+    function renderGmailFilters(filters) {
+        gmailFiltersListDiv.innerHTML = '';
+        if (filters.length === 0) {
+            gmailFiltersListDiv.innerHTML = '<p>No Gmail filters found.</p>';
+            return;
+        }
+        filters.forEach(filter => {
+            const item = document.createElement('label');
+            item.className = 'gmail-filter inline-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = filter.filterId;
+            checkbox.disabled = !filter.rule || filter.alreadyImported;
+            checkbox.checked = !checkbox.disabled;
+            const description = document.createElement('span');
+            const criteria = document.createElement('strong');
+            criteria.textContent = filter.criteria;
+            description.appendChild(criteria);
+            const details = document.createElement('small');
+            if (filter.alreadyImported) {
+                details.textContent = 'Already imported.';
+            } else if (filter.rule) {
+                details.textContent = [`Condition: ${describeCondition(filter.rule.condition, false)}; Actions: ${describeActions(filter.rule.actions, false)}`, ...filter.warnings].join(' ');
+            } else {
+                details.className = 'filter-error';
+                details.textContent = filter.error;
+            }
+            description.append(document.createElement('br'), details);
+            item.append(checkbox, description);
+            gmailFiltersListDiv.appendChild(item);
+        });
+
+        const importBtn = document.createElement('button');
+        importBtn.textContent = 'Import Selected Filters';
+        importBtn.addEventListener('click', importGmailFilters);
+        gmailFiltersListDiv.appendChild(importBtn);
+    }
+
+    loadGmailFiltersBtn.addEventListener('click', async () => {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "previewGmailFilterImport" });
+            if (response && response.success) {
+                renderGmailFilters(response.filters);
+            } else {
+                displayStatus(`Error loading Gmail filters: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception loading Gmail filters: ${e.message}`, true);
+        }
+    });
+
+    async function importGmailFilters() {
+        const filterIds = [...gmailFiltersListDiv.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
+        if (filterIds.length === 0) {
+            displayStatus('Select at least one filter to import.', true);
+            return;
+        }
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "importGmailFilters", filterIds });
+            if (response && response.success) {
+                gmailFiltersListDiv.innerHTML = '';
+                displayStatus(`Imported ${response.rules.length} filter(s) as rules.`, false);
+                loadSettingsAndLabels();
+            } else {
+                displayStatus(`Error importing Gmail filters: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception importing Gmail filters: ${e.message}`, true);
+        }
+    }
+
+    function moveRule(fromIndex, toIndex) {
+        if (isNaN(fromIndex) || fromIndex === toIndex) return;
+        const [rule] = currentSettings.rules.splice(fromIndex, 1);
+        currentSettings.rules.splice(toIndex, 0, rule);
+        currentSettings.rules.forEach((r, index) => { r.priority = index; });
+        renderRules();
+        displayStatus('Rules reordered locally. Save all settings to apply.', false);
+    }
+
+    addRuleBtn.addEventListener('click', async () => {
+        const ruleError = validateCondition(newRuleCondition) || validateActions(newRuleActions);
+        if (ruleError) {
+            displayStatus(ruleError, true);
             return;
         }
 
@@ -113,92 +734,957 @@ document.addEventListener('DOMContentLoaded', () => {
         // We can also pre-fetch labels and populate a dropdown or autocomplete for labelName.
 
         currentSettings.rules = currentSettings.rules || [];
-        currentSettings.rules.push({ type, value, labelName }); // labelId will be resolved by background
+        currentSettings.rules.push({
+            id: `rule_${Date.now().toString(36)}`,
+            priority: currentSettings.rules.length,
+            stopProcessing: ruleStopProcessingCheckbox.checked,
+            condition: newRuleCondition,
+            actions: newRuleActions // labelIds will be resolved by background
+        });
         renderRules();
-        ruleValueInput.value = '';
-        ruleLabelNameInput.value = ''; // Keep label name for next rule potentially
+        newRuleCondition = createEmptyCondition();
+        newRuleActions = createDefaultActions();
+        ruleStopProcessingCheckbox.checked = false;
+        renderConditionBuilder();
+        renderActionBuilder();
         displayStatus('Rule added locally. Save all settings to apply.', false);
     });
 
     function removeRule(index) {
         currentSettings.rules.splice(index, 1);
+        currentSettings.rules.forEach((r, i) => { r.priority = i; });
         renderRules();
         displayStatus('Rule removed locally. Save all settings to apply.', false);
     }
 
-    async function loadSuggestedLabels() {
+    async function previewRule(rule) {
+        const messageCount = parseInt(previewCountInput.value) || 50;
+        rulePreviewDiv.innerHTML = `<p>Checking the last ${messageCount} messages...</p>`;
         try {
-            const response = await chrome.runtime.sendMessage({ action: "getSuggestedLabels" });
+            const response = await chrome.runtime.sendMessage({ action: "previewRule", rule, messageCount });
             if (response && response.success) {
-                renderSuggestedLabels(response.suggestedLabels || []);
+                renderRulePreview(rule, response);
             } else {
-                displayStatus(`Error loading suggestions: ${response?.error || 'Unknown error'}`, true);
+                rulePreviewDiv.innerHTML = '';
+                displayStatus(`Error previewing rule: ${response?.message || 'Unknown error'}`, true);
             }
         } catch (e) {
-            displayStatus(`Exception loading suggestions: ${e.message}`, true);
+            rulePreviewDiv.innerHTML = '';
+            displayStatus(`Exception previewing rule: ${e.message}`, true);
         }
     }
 
-    function renderSuggestedLabels(suggestions) {
-        suggestedLabelsListDiv.innerHTML = '';
-        if (suggestions.length === 0) {
-            suggestedLabelsListDiv.innerHTML = '<p>No active suggestions.</p>';
+    function renderRulePreview(rule, preview) {
+        rulePreviewDiv.innerHTML = `
+            <h4>Preview: ${describeCondition(rule.condition)}</h4>
+            <p>${preview.matches.length} of the last ${preview.scanned} messages match. Would apply: ${describeActions(rule.actions)}</p>
+        `;
+        if (preview.matches.length === 0) return;
+
+        const table = document.createElement('table');
+        table.innerHTML = '<tr><th>Date</th><th>From</th><th>Subject</th></tr>';
+        preview.matches.forEach(match => {
+            const row = table.insertRow();
+            row.insertCell().textContent = match.date ? new Date(match.date).toLocaleString() : '';
+            row.insertCell().textContent = match.sender;
+            row.insertCell().textContent = match.subject;
+        });
+        rulePreviewDiv.appendChild(table);
+    }
+
+    previewNewRuleBtn.addEventListener('click', () => {
+        const ruleError = validateCondition(newRuleCondition) || validateActions(newRuleActions);
+        if (ruleError) {
+            displayStatus(ruleError, true);
+            return;
+        }
+        previewRule({ condition: newRuleCondition, actions: newRuleActions });
+    });
+
+    async function startBackfill(rule) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "startBackfill", rule });
+            if (response && response.success) {
+                displayStatus('Backfill started. Progress is shown below the rules.', false);
+                loadBackfillJobs();
+            } else {
+                displayStatus(`Error starting backfill: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception starting backfill: ${e.message}`, true);
+        }
+    }
+
+    async function loadBackfillJobs() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "getBackfillJobs" });
+            if (response && response.success) {
+                renderBackfillJobs(response.jobs || []);
+            }
+        } catch (e) {
+            console.error('Error loading backfill jobs:', e);
+        }
+    }
+
+    function renderBackfillJobs(jobs) {
+        backfillJobsListDiv.innerHTML = '';
+        if (jobs.length === 0) {
+            backfillJobsListDiv.innerHTML = '<p>No backfill jobs.</p>';
             return;
         }
-        suggestions.filter(s => s.status === 'pending').forEach(suggestion => { // Only show pending
+        jobs.slice().reverse().forEach(job => {
+            const isActive = job.status === 'queued' || job.status === 'running';
             const item = document.createElement('div');
-            item.className = 'suggestion-item';
+            item.className = 'backfill-job';
             item.innerHTML = `
                 <div>
-                    Suggested Label: <strong>${suggestion.name}</strong><br>
-                    <small>Based on: ${suggestion.basedOnLabel} for domain ${suggestion.basedOnDomain}</small>
+                    <strong>${escapeHtml(job.ruleDescription)}</strong> &mdash; ${job.status}${job.error ? ` (${escapeHtml(job.error)})` : ''}<br>
+                    <small>Scanned ${job.scanned} messages, ${job.matched} matched. Query: ${escapeHtml(job.query || '(all mail)')}</small>
                 </div>
                 <div>
-                    <button data-id="${suggestion.id}" class="approve-suggestion">Approve & Create</button>
-                    <button data-id="${suggestion.id}" class="reject-suggestion danger">Reject</button>
+                    ${isActive ? '<progress></progress>' : ''}
+                    ${isActive ? `<button data-id="${job.id}" class="cancel-backfill danger">Cancel</button>` : ''}
                 </div>
             `;
-            suggestedLabelsListDiv.appendChild(item);
+            backfillJobsListDiv.appendChild(item);
         });
 
-        document.querySelectorAll('.approve-suggestion').forEach(button => {
+        backfillJobsListDiv.querySelectorAll('.cancel-backfill').forEach(button => {
             button.addEventListener('click', async (e) => {
-                const id = e.target.dataset.id;
-                const response = await chrome.runtime.sendMessage({ action: "approveSuggestion", suggestionId: id });
+                const response = await chrome.runtime.sendMessage({ action: "cancelBackfill", jobId: e.target.dataset.id });
                 if (response && response.success) {
-                    displayStatus(`Suggestion "${response.suggestion.name}" approved. Label created/rule updated.`, false);
-                    loadSuggestedLabels(); // Refresh list
-                    loadSettingsAndLabels(); // Also refresh rules if auto-create rule is on
+                    displayStatus('Backfill cancelled.', false);
                 } else {
-                    displayStatus(`Error approving suggestion: ${response?.error || 'Unknown error'}`, true);
+                    displayStatus(`Error cancelling backfill: ${response?.message || 'Unknown error'}`, true);
                 }
+                loadBackfillJobs();
             });
         });
+    }
 
-        document.querySelectorAll('.reject-suggestion').forEach(button => {
-            button.addEventListener('click', async (e) => {
-                const id = e.target.dataset.id;
-                const response = await chrome.runtime.sendMessage({ action: "rejectSuggestion", suggestionId: id });
-                if (response && response.success) {
-                    displayStatus('Suggestion rejected.', false);
-                    loadSuggestedLabels(); // Refresh list
-                } else {
-                    displayStatus(`Error rejecting suggestion: ${response?.error || 'Unknown error'}`, true);
+    async function loadSuggestedLabels() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "getSuggestedLabels" });
+            if (response && response.success) {
+                renderSuggestedLabels(response.suggestedLabels || []);
+            } else {
+                displayStatus(`Error loading suggestions: ${response?.error || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception loading suggestions: ${e.message}`, true);
+        }
+    }
+
+    // Name, why it was suggested, how confident the pattern is and a few of the messages behind it
+    function renderSuggestionDetails(suggestion) {
+        const details = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = suggestion.name;
+        details.append('Suggested Label: ', name, document.createElement('br'));
+
+        const reason = document.createElement('small');
+        const basis = suggestion.reason || `Based on: ${suggestion.basedOnLabel} for domain ${suggestion.basedOnDomain}`;
+        const stats = typeof suggestion.confidence === 'number'
+            ? ` (${suggestion.messageCount} messages, ${Math.round(suggestion.confidence * 100)}% confidence)`
+            : '';
+        reason.textContent = basis + stats;
+        details.appendChild(reason);
+
+        if (suggestion.samples?.length) {
+            const samples = document.createElement('ul');
+            samples.className = 'suggestion-samples';
+            suggestion.samples.forEach(sample => {
+                const item = document.createElement('li');
+                item.textContent = `${sample.subject || '(no subject)'} — ${sample.sender}`;
+                samples.appendChild(item);
+            });
+            details.appendChild(samples);
+        }
+        return details;
+    }
+
+    function renderSuggestedLabels(suggestions) {
+        suggestedLabelsListDiv.innerHTML = '';
+        suggestionHistoryListDiv.innerHTML = '';
+        // Snoozed suggestions are listed after the pending ones
+        const open = suggestions.filter(s => s.status === 'pending' || s.status === 'snoozed')
+            .sort((a, b) => (a.status === 'snoozed') - (b.status === 'snoozed'));
+        const decided = suggestions.filter(s => !open.includes(s))
+            .sort((a, b) => (b.decidedAt || '').localeCompare(a.decidedAt || ''));
+
+        if (open.length === 0) suggestedLabelsListDiv.innerHTML = '<p>No active suggestions.</p>';
+        open.forEach(suggestion => suggestedLabelsListDiv.appendChild(renderOpenSuggestion(suggestion)));
+        if (decided.length === 0) suggestionHistoryListDiv.innerHTML = '<p>No past decisions.</p>';
+        decided.forEach(suggestion => suggestionHistoryListDiv.appendChild(renderDecidedSuggestion(suggestion)));
+    }
+
+    function createButton(text, className, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        if (className) button.className = className;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function renderOpenSuggestion(suggestion) {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item';
+        const details = renderSuggestionDetails(suggestion);
+        if (suggestion.status === 'snoozed') {
+            const snoozed = document.createElement('small');
+            snoozed.className = 'suggestion-status';
+            snoozed.textContent = `Snoozed until ${new Date(suggestion.snoozedUntil).toLocaleDateString()}`;
+            details.appendChild(snoozed);
+        }
+
+        const buttons = document.createElement('div');
+        buttons.className = 'suggestion-actions';
+        buttons.appendChild(createButton('Approve & Create', '', () => approveSuggestion(suggestion.id)));
+        buttons.appendChild(createButton('Edit', 'secondary', () => item.replaceWith(renderSuggestionEditor(suggestion))));
+        if (suggestion.status === 'snoozed') {
+            buttons.appendChild(createButton('Unsnooze', 'secondary',
+                () => updateSuggestion('reopenSuggestion', suggestion.id, {}, 'Suggestion is active again.')));
+        } else {
+            const snoozeDays = document.createElement('select');
+            SNOOZE_OPTIONS.forEach(([days, text]) => snoozeDays.add(new Option(text, days, false, days === 7)));
+            buttons.appendChild(snoozeDays);
+            buttons.appendChild(createButton('Snooze', 'secondary',
+                () => updateSuggestion('snoozeSuggestion', suggestion.id, { days: parseInt(snoozeDays.value) }, 'Suggestion snoozed.')));
+        }
+        buttons.appendChild(createButton('Reject', 'danger',
+            () => updateSuggestion('rejectSuggestion', suggestion.id, {}, 'Suggestion rejected.')));
+        item.append(details, buttons);
+        return item;
+    }
+
+    function renderDecidedSuggestion(suggestion) {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item';
+        const details = renderSuggestionDetails(suggestion);
+        const status = document.createElement('small');
+        status.className = 'suggestion-status';
+        status.textContent = `${SUGGESTION_STATUSES[suggestion.status] || suggestion.status}` +
+            (suggestion.decidedAt ? ` on ${new Date(suggestion.decidedAt).toLocaleString()}` : '');
+        details.appendChild(status);
+        item.appendChild(details);
+        if (suggestion.status !== 'approved') {
+            item.appendChild(createButton('Reopen', 'secondary',
+                () => updateSuggestion('reopenSuggestion', suggestion.id, {}, 'Suggestion reopened.')));
+        }
+        return item;
+    }
+
+    // Inline editor for the label name and the rule condition the suggestion will create
+    function renderSuggestionEditor(suggestion) {
+        const editor = document.createElement('div');
+        editor.className = 'suggestion-item suggestion-editor';
+
+        const nameLabel = document.createElement('label');
+        nameLabel.textContent = 'Label name';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = suggestion.name;
+
+        // Suggestions from before pattern clusters only carry the sender domain
+        const condition = JSON.parse(JSON.stringify(suggestion.condition ||
+            { op: 'and', conditions: [{ type: 'sender', operator: 'contains', value: `@${suggestion.basedOnDomain}` }] }));
+        const conditionLabel = document.createElement('label');
+        conditionLabel.textContent = 'Rule condition';
+        const conditionDiv = document.createElement('div');
+        const renderEditorCondition = () => {
+            conditionDiv.innerHTML = '';
+            conditionDiv.appendChild(renderConditionGroup(condition, null, renderEditorCondition));
+        };
+        renderEditorCondition();
+
+        const save = async (approve) => {
+            const error = !nameInput.value.trim() ? 'The label name cannot be empty.' : validateCondition(condition);
+            if (error) {
+                displayStatus(error, true);
+                return;
+            }
+            const changes = { name: nameInput.value.trim(), condition };
+            if (approve) {
+                await approveSuggestion(suggestion.id, changes);
+            } else {
+                await updateSuggestion('editSuggestion', suggestion.id, { changes }, 'Suggestion updated.');
+            }
+        };
+        const buttons = document.createElement('div');
+        buttons.className = 'suggestion-actions';
+        buttons.append(
+            createButton('Save & Approve', '', () => save(true)),
+            createButton('Save', 'secondary', () => save(false)),
+            createButton('Cancel', 'secondary', () => loadSuggestedLabels())
+        );
+        editor.append(nameLabel, nameInput, conditionLabel, conditionDiv, buttons);
+        return editor;
+    }
+
+    async function approveSuggestion(suggestionId, changes = null) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "approveSuggestion", suggestionId, changes });
+            if (response && response.success) {
+                displayStatus(`Suggestion "${response.suggestion.name}" approved. Label created/rule updated.`, false);
+                loadSuggestedLabels(); // Refresh list
+                loadSettingsAndLabels(); // Also refresh rules if auto-create rule is on
+            } else {
+                displayStatus(`Error approving suggestion: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception approving suggestion: ${e.message}`, true);
+        }
+    }
+
+    // Sends one of the suggestion lifecycle actions and refreshes the list
+    async function updateSuggestion(action, suggestionId, extra, successMessage) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action, suggestionId, ...extra });
+            if (response && response.success) {
+                displayStatus(successMessage, false);
+                loadSuggestedLabels();
+            } else {
+                displayStatus(`Error updating suggestion: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception updating suggestion: ${e.message}`, true);
+        }
+    }
+
+
+    // Parses "Name=domain1,domain2" lines into [{ name, domains }], skipping malformed lines
+    function parseProtectedBrands(text) {
+        return text.split('\n').map(line => {
+            const [name, domains = ''] = line.split('=');
+            return {
+                name: (name || '').trim(),
+                domains: domains.split(',').map(d => d.trim().toLowerCase()).filter(d => d)
+            };
+        }).filter(brand => brand.name && brand.domains.length > 0);
+    }
+
+    function renderSpamWeights(weights) {
+        spamWeightsDiv.innerHTML = '';
+        Object.entries(SPAM_SIGNALS).forEach(([signal, description]) => {
+            const label = document.createElement('label');
+            label.htmlFor = `spamWeight_${signal}`;
+            label.textContent = description;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `spamWeight_${signal}`;
+            input.dataset.signal = signal;
+            input.min = '0';
+            input.step = '0.5';
+            input.value = weights[signal] ?? 0;
+            spamWeightsDiv.append(label, input);
+        });
+    }
+
+    function readSpamWeights() {
+        const weights = {};
+        spamWeightsDiv.querySelectorAll('input[data-signal]').forEach(input => {
+            weights[input.dataset.signal] = Math.max(parseFloat(input.value) || 0, 0);
+        });
+        return weights;
+    }
+
+    function renderKeywordWeights(keywordWeights) {
+        spamKeywordWeightsTextarea.value = Object.entries(keywordWeights).map(([keyword, weight]) => `${keyword}=${weight}`).join('\n');
+    }
+
+    function parseKeywordWeights(text) {
+        const keywordWeights = {};
+        text.split('\n').forEach(line => {
+            const separatorIndex = line.lastIndexOf('=');
+            if (separatorIndex === -1) return;
+            const keyword = line.slice(0, separatorIndex).trim().toLowerCase();
+            const weight = parseFloat(line.slice(separatorIndex + 1));
+            if (keyword && !isNaN(weight)) keywordWeights[keyword] = Math.max(weight, 0);
+        });
+        return keywordWeights;
+    }
+
+    async function loadFalsePositives() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "getFalsePositives" });
+            if (response && response.success) renderFalsePositives(response.falsePositives || []);
+        } catch (e) {
+            displayStatus(`Exception loading false positives: ${e.message}`, true);
+        }
+    }
+
+    function renderFalsePositives(falsePositives) {
+        falsePositivesListDiv.innerHTML = '';
+        const openFalsePositives = falsePositives.filter(falsePositive => falsePositive.status === 'open').reverse();
+        if (openFalsePositives.length === 0) {
+            falsePositivesListDiv.innerHTML = '<p>No false positives to review.</p>';
+            return;
+        }
+        openFalsePositives.forEach(falsePositive => {
+            const item = document.createElement('div');
+            item.className = 'spam-item';
+            const info = document.createElement('div');
+            const subject = document.createElement('strong');
+            subject.textContent = falsePositive.subject || '(no subject)';
+            const details = document.createElement('small');
+            details.textContent = `${falsePositive.sender} — score ${falsePositive.score ?? 'unknown'}, un-spammed ${new Date(falsePositive.detectedAt).toLocaleString()}`;
+            const signals = document.createElement('ul');
+            signals.className = 'false-positive-signals';
+            falsePositive.signals.forEach(signal => {
+                const signalItem = document.createElement('li');
+                signalItem.textContent = `+${signal.weight} ${SPAM_SIGNALS[signal.signal] || signal.signal}: ${signal.detail}`;
+                signals.appendChild(signalItem);
+            });
+            info.append(subject, document.createElement('br'), details, signals);
+
+            const buttons = document.createElement('div');
+            const addButton = (text, resolution, className) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.className = className;
+                button.addEventListener('click', () => resolveFalsePositive(falsePositive.id, resolution));
+                buttons.appendChild(button);
+            };
+            if (falsePositive.senderAddress) addButton(`Trust ${falsePositive.senderAddress}`, 'trustSender', '');
+            if (falsePositive.keywords.length) addButton('Lower keyword weight', 'lowerKeywords', 'secondary');
+            addButton('Dismiss', 'dismiss', 'secondary');
+            item.append(info, buttons);
+            falsePositivesListDiv.appendChild(item);
+        });
+    }
+
+    async function resolveFalsePositive(falsePositiveId, resolution) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "resolveFalsePositive", falsePositiveId, resolution });
+            if (response && response.success) {
+                currentSettings.trustedSenders = response.settings.trustedSenders;
+                currentSettings.spamKeywordWeights = response.settings.spamKeywordWeights;
+                trustedSendersTextarea.value = (currentSettings.trustedSenders || []).join('\n');
+                renderKeywordWeights(currentSettings.spamKeywordWeights || {});
+                loadFalsePositives();
+            } else {
+                displayStatus(`Error updating false positive: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception updating false positive: ${e.message}`, true);
+        }
+    }
+
+    function renderRepliedContacts(repliedContacts) {
+        repliedContactsStatusSpan.textContent = repliedContacts.refreshedAt
+            ? `${repliedContacts.addresses.length} addresses from Sent mail, last refreshed ${new Date(repliedContacts.refreshedAt).toLocaleString()}.`
+            : 'Sent mail has not been scanned yet.';
+    }
+
+    async function loadRepliedContacts() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "getRepliedContacts" });
+            if (response && response.success) renderRepliedContacts(response.repliedContacts);
+        } catch (e) {
+            repliedContactsStatusSpan.textContent = `Could not load trusted addresses: ${e.message}`;
+        }
+    }
+
+    refreshRepliedContactsBtn.addEventListener('click', async () => {
+        refreshRepliedContactsBtn.disabled = true;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "refreshRepliedContacts" });
+            if (response && response.success) {
+                renderRepliedContacts(response.repliedContacts);
+            } else {
+                displayStatus(`Error scanning Sent mail: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception scanning Sent mail: ${e.message}`, true);
+        } finally {
+            refreshRepliedContactsBtn.disabled = false;
+        }
+    });
+
+    function renderTrainLabelOptions() {
+        const selectedLabelId = trainLabelSelect.value;
+        trainLabelSelect.innerHTML = '';
+        Object.entries(currentGmailLabels)
+            .sort(([, a], [, b]) => a.localeCompare(b))
+            .forEach(([id, name]) => trainLabelSelect.add(new Option(name, id)));
+        if (selectedLabelId) trainLabelSelect.value = selectedLabelId;
+    }
+
+    function renderSpamModelStats(stats) {
+        spamModelStatsP.textContent = `Classifier has learned from ${stats.spamCount} spam and ${stats.hamCount} non-spam messages (${stats.tokenCount} distinct tokens).`;
+    }
+
+    async function loadSpamModelStats() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "getSpamModelStats" });
+            if (response && response.success) renderSpamModelStats(response.stats);
+        } catch (e) {
+            spamModelStatsP.textContent = `Could not load classifier status: ${e.message}`;
+        }
+    }
+
+    trainSpamModelBtn.addEventListener('click', async () => {
+        if (!trainLabelSelect.value) {
+            displayStatus('Choose a label to train from.', true);
+            return;
+        }
+        trainSpamModelBtn.disabled = true;
+        trainSpamModelBtn.textContent = 'Training...';
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: "trainSpamModel",
+                labelId: trainLabelSelect.value,
+                messageCount: parseInt(trainMessageCountInput.value) || 100,
+                asSpam: trainAsSelect.value === 'spam'
+            });
+            if (response && response.success) {
+                renderSpamModelStats(response.stats);
+                displayStatus(`Trained on ${response.trained} of ${response.scanned} messages.`, false);
+            } else {
+                displayStatus(`Error training classifier: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception training classifier: ${e.message}`, true);
+        } finally {
+            trainSpamModelBtn.disabled = false;
+            trainSpamModelBtn.textContent = 'Train';
+        }
+    });
+
+    resetSpamModelBtn.addEventListener('click', async () => {
+        if (!confirm('Forget everything the spam classifier has learned?')) return;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "resetSpamModel" });
+            if (response && response.success) {
+                renderSpamModelStats(response.stats);
+                displayStatus('Spam classifier reset.', false);
+            }
+        } catch (e) {
+            displayStatus(`Exception resetting classifier: ${e.message}`, true);
+        }
+    });
+
+    async function loadActivityLog() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "getActivityLog" });
+            if (response && response.success) {
+                currentActivityLog = response.activityLog || [];
+                renderActivityLog();
+            } else {
+                displayStatus(`Error loading activity log: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception loading activity log: ${e.message}`, true);
+        }
+    }
+
+    function activityEntryMatchesFilter(entry) {
+        const type = activityFilterTypeSelect.value;
+        if (type === 'rules' && (entry.spam || entry.ruleIds.length === 0)) return false;
+        if (type === 'spam' && !entry.spam) return false;
+        if (type === 'suspicious' && entry.spamScore?.verdict !== 'suspicious') return false;
+        if (type === 'phishing' && !entry.phishing) return false;
+        if (type === 'backfill' && entry.source !== 'backfill') return false;
+        if (type === 'retention' && entry.source !== 'retention') return false;
+        if (type === 'dryRun' && !entry.dryRun) return false;
+        if (type === 'undone' && !entry.undone) return false;
+
+        const text = activityFilterTextInput.value.trim().toLowerCase();
+        if (!text) return true;
+        return [entry.subject, entry.sender, entry.retentionPolicy, ...entry.ruleDescriptions].some(value => (value || '').toLowerCase().includes(text));
+    }
+
+    function describeActivityChanges(entry) {
+        if (entry.dryRun) return `Would apply: ${entry.actions}`;
+        const changes = [];
+        if (entry.addedLabelNames.length) changes.push(`+${entry.addedLabelNames.join(', +')}`);
+        if (entry.removedLabelNames.length) changes.push(`-${entry.removedLabelNames.join(', -')}`);
+        return changes.join(' ');
+    }
+
+    function renderSpamScore(cell, spamScore) {
+        const summary = document.createElement('div');
+        summary.textContent = `Spam score ${spamScore.score} (${spamScore.verdict})`;
+        const breakdown = document.createElement('ul');
+        breakdown.className = 'score-breakdown';
+        spamScore.signals.forEach(signal => {
+            const item = document.createElement('li');
+            item.textContent = `+${signal.weight} ${SPAM_SIGNALS[signal.signal] || signal.signal}: ${signal.detail}`;
+            breakdown.appendChild(item);
+        });
+        cell.append(summary, breakdown);
+    }
+
+    function renderPhishingFindings(cell, phishing) {
+        const summary = document.createElement('div');
+        summary.textContent = `Phishing score ${phishing.score}`;
+        const breakdown = document.createElement('ul');
+        breakdown.className = 'score-breakdown';
+        phishing.findings.forEach(finding => {
+            const item = document.createElement('li');
+            item.textContent = `+${finding.weight} ${PHISHING_FINDINGS[finding.finding] || finding.finding}: ${finding.detail}`;
+            breakdown.appendChild(item);
+        });
+        cell.append(summary, breakdown);
+    }
+
+    function renderActivityLog() {
+        activityLogListDiv.innerHTML = '';
+        const entries = currentActivityLog.filter(activityEntryMatchesFilter);
+        if (entries.length === 0) {
+            activityLogListDiv.innerHTML = '<p>No matching activity.</p>';
+            return;
+        }
+
+        // Group entries by run, newest run first
+        const runs = new Map();
+        entries.slice().reverse().forEach(entry => {
+            if (!runs.has(entry.runId)) runs.set(entry.runId, []);
+            runs.get(entry.runId).push(entry);
+        });
+
+        runs.forEach((runEntries, runId) => {
+            const runDiv = document.createElement('div');
+            runDiv.className = 'activity-run';
+            const undoable = runEntries.some(entry => !entry.undone && !entry.dryRun);
+            const header = document.createElement('div');
+            header.className = 'activity-run-header';
+            header.innerHTML = `
+                <span><b>${RUN_SOURCES[runEntries[0].source] || 'Processing run'}</b> &mdash; ${new Date(runEntries[runEntries.length - 1].timestamp).toLocaleString()} (${runEntries.length} messages)</span>
+                ${undoable ? `<button data-run-id="${runId}" class="undo-run danger">Undo run</button>` : ''}
+            `;
+            runDiv.appendChild(header);
+
+            const table = document.createElement('table');
+            runEntries.forEach(entry => {
+                const row = table.insertRow();
+                if (entry.undone) row.className = 'undone';
+                row.insertCell().textContent = new Date(entry.timestamp).toLocaleTimeString();
+                row.insertCell().textContent = entry.sender;
+                row.insertCell().textContent = entry.subject;
+                const reasonCell = row.insertCell();
+                reasonCell.textContent = entry.phishing ? 'Phishing' : entry.spam ? 'Spam' : entry.retentionPolicy || entry.ruleDescriptions.join(', ');
+                if (entry.phishing) renderPhishingFindings(reasonCell, entry.phishing);
+                if (entry.spamScore) renderSpamScore(reasonCell, entry.spamScore);
+                row.insertCell().textContent = describeActivityChanges(entry);
+                const undoCell = row.insertCell();
+                if (!entry.undone && !entry.dryRun) {
+                    const undoBtn = document.createElement('button');
+                    undoBtn.textContent = 'Undo';
+                    undoBtn.className = 'secondary';
+                    undoBtn.addEventListener('click', () => undoActivity({ entryIds: [entry.id] }));
+                    undoCell.appendChild(undoBtn);
                 }
             });
+            runDiv.appendChild(table);
+            activityLogListDiv.appendChild(runDiv);
+        });
+
+        activityLogListDiv.querySelectorAll('.undo-run').forEach(button => {
+            button.addEventListener('click', (e) => undoActivity({ runId: e.target.dataset.runId }));
         });
     }
 
+    async function undoActivity(target) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "undoActivity", ...target });
+            if (response && response.success) {
+                displayStatus(`Undid ${response.undone} change(s)${response.failed ? `, ${response.failed} failed` : ''}.`, response.failed > 0);
+                loadActivityLog();
+            } else {
+                displayStatus(`Error undoing activity: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception undoing activity: ${e.message}`, true);
+        }
+    }
+
+    activityFilterTextInput.addEventListener('input', renderActivityLog);
+    activityFilterTypeSelect.addEventListener('change', renderActivityLog);
+    refreshActivityBtn.addEventListener('click', loadActivityLog);
+
+    async function loadNewsletters(refreshStats = false) {
+        if (refreshStats) newslettersListDiv.innerHTML = '<p>Checking which newsletters you read...</p>';
+        try {
+            const response = await chrome.runtime.sendMessage({ action: refreshStats ? "refreshNewsletterStats" : "getNewsletters" });
+            if (response && response.success) {
+                currentNewsletters = response.newsletters || [];
+                renderNewsletters();
+            } else {
+                displayStatus(`Error loading newsletters: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception loading newsletters: ${e.message}`, true);
+        }
+    }
+
+    function getNewslettersPerWeek(newsletter) {
+        const weeks = Math.max((Date.now() - new Date(newsletter.firstSeen).getTime()) / (7 * 24 * 60 * 60 * 1000), 1);
+        return Math.round(newsletter.count / weeks * 10) / 10;
+    }
+
+    function describeNewsletterStatus(newsletter) {
+        const status = [];
+        const rule = (currentSettings.rules || []).find(r => r.id === newsletter.ruleId);
+        if (rule) status.push(rule.actions.map(action => [ACTION_TYPES[action.type] || action.type, action.labelName].filter(part => part).join(' ')).join(', '));
+        if (newsletter.unsubscribedAt) status.push(`Unsubscribed ${new Date(newsletter.unsubscribedAt).toLocaleDateString()}`);
+        return status.join('; ');
+    }
+
+    function renderNewsletters() {
+        newslettersListDiv.innerHTML = '';
+        const text = newsletterFilterTextInput.value.trim().toLowerCase();
+        const newsletters = currentNewsletters.filter(newsletter => !text ||
+            [newsletter.name, newsletter.address, newsletter.listId].some(value => (value || '').toLowerCase().includes(text)));
+        if (newsletters.length === 0) {
+            newslettersListDiv.innerHTML = '<p>No newsletters detected yet.</p>';
+            return;
+        }
+
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        ['Sender', 'Messages', 'Per week', 'Read', 'Handling', ''].forEach(title => {
+            const th = document.createElement('th');
+            th.textContent = title;
+            header.appendChild(th);
+        });
+        const body = table.createTBody();
+        newsletters.forEach(newsletter => {
+            const row = body.insertRow();
+            const senderCell = row.insertCell();
+            const name = document.createElement('div');
+            name.textContent = newsletter.name;
+            const address = document.createElement('small');
+            address.textContent = newsletter.address;
+            senderCell.append(name, address);
+            row.insertCell().textContent = newsletter.count;
+            row.insertCell().textContent = getNewslettersPerWeek(newsletter);
+            row.insertCell().textContent = typeof newsletter.readRate === 'number' ? `${Math.round(newsletter.readRate * 100)}%` : '?';
+            row.insertCell().textContent = describeNewsletterStatus(newsletter);
+            row.insertCell().appendChild(renderNewsletterActions(newsletter));
+        });
+        newslettersListDiv.appendChild(table);
+    }
+
+    function renderNewsletterActions(newsletter) {
+        const actions = document.createElement('div');
+        actions.className = 'newsletter-actions';
+        const rule = (currentSettings.rules || []).find(r => r.id === newsletter.ruleId);
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.placeholder = 'Label';
+        labelInput.value = rule?.actions.find(action => action.type === 'addLabel')?.labelName || 'Newsletters';
+        const archiveLabel = document.createElement('label');
+        archiveLabel.className = 'inline-label';
+        const archiveCheckbox = document.createElement('input');
+        archiveCheckbox.type = 'checkbox';
+        archiveCheckbox.checked = !!rule?.actions.some(action => action.type === 'archive');
+        archiveLabel.append(archiveCheckbox, ' Archive');
+        actions.append(labelInput, archiveLabel,
+            createButton(rule ? 'Update' : 'Apply', 'secondary', () => setNewsletterRule(newsletter, labelInput.value, archiveCheckbox.checked)));
+
+        const unsubscribeBtn = createButton('Unsubscribe', 'danger', () => unsubscribeNewsletter(newsletter));
+        unsubscribeBtn.disabled = !newsletter.unsubscribe || !!newsletter.unsubscribedAt;
+        unsubscribeBtn.title = !newsletter.unsubscribe ? 'This sender offers no unsubscribe link'
+            : newsletter.unsubscribe.oneClick ? 'One-click unsubscribe'
+            : newsletter.unsubscribe.mailto ? `Sends an email to ${newsletter.unsubscribe.mailto.replace(/^mailto:/i, '').split('?')[0]}`
+            : 'Opens the sender\'s unsubscribe page';
+        actions.appendChild(unsubscribeBtn);
+        return actions;
+    }
+
+    async function setNewsletterRule(newsletter, labelName, archive) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "setNewsletterRule", address: newsletter.address, options: { labelName, archive } });
+            if (response && response.success) {
+                displayStatus(`Rule saved for ${newsletter.address}; applying it to existing mail.`, false);
+                await loadSettingsAndLabels(); // Shows the rule and keeps currentSettings current
+                loadNewsletters();
+                loadBackfillJobs();
+            } else {
+                displayStatus(`Error saving newsletter rule: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception saving newsletter rule: ${e.message}`, true);
+        }
+    }
+
+    async function unsubscribeNewsletter(newsletter) {
+        if (!confirm(`Unsubscribe from ${newsletter.name} (${newsletter.address})?`)) return;
+        const { url, oneClick } = newsletter.unsubscribe;
+        // The one-click POST goes to the sender's server, which needs host permission for that site
+        if (oneClick && !(await chrome.permissions.request({ origins: [`${new URL(url).origin}/*`] }))) {
+            displayStatus('Unsubscribing needs permission to contact the sender\'s website.', true);
+            return;
+        }
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "unsubscribeNewsletter", address: newsletter.address });
+            if (response && response.success && response.method === 'link') {
+                window.open(response.url, '_blank', 'noopener');
+                displayStatus('Opened the sender\'s unsubscribe page.', false);
+            } else if (response && response.success) {
+                displayStatus(`Unsubscribed from ${newsletter.address}.`, false);
+                loadNewsletters();
+            } else {
+                displayStatus(`Error unsubscribing: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception unsubscribing: ${e.message}`, true);
+        }
+    }
+
+    newsletterFilterTextInput.addEventListener('input', renderNewsletters);
+    refreshNewsletterStatsBtn.addEventListener('click', () => loadNewsletters(true));
+
+    function describeRetentionPolicy(policy) {
+        return `${RETENTION_ACTIONS[policy.action] || policy.action} "${policy.labelName}" after ${policy.olderThanDays} days`;
+    }
+
+    function renderRetentionLabelOptions() {
+        const selectedLabelId = retentionLabelSelect.value;
+        retentionLabelSelect.innerHTML = '';
+        Object.entries(currentGmailLabels)
+            .sort(([, a], [, b]) => a.localeCompare(b))
+            .forEach(([id, name]) => retentionLabelSelect.add(new Option(name, id)));
+        if (selectedLabelId) retentionLabelSelect.value = selectedLabelId;
+    }
+
+    function renderRetentionPolicies() {
+        retentionPoliciesListDiv.innerHTML = '';
+        const policies = currentSettings.retentionPolicies || [];
+        if (policies.length === 0) {
+            retentionPoliciesListDiv.innerHTML = '<p>No retention policies defined yet.</p>';
+            return;
+        }
+        policies.forEach((policy, index) => {
+            const item = document.createElement('div');
+            item.className = 'rule-item';
+            const description = document.createElement('span');
+            description.className = 'rule-description';
+            description.textContent = describeRetentionPolicy(policy);
+            const previewSpan = document.createElement('span');
+
+            const enabledLabel = document.createElement('label');
+            enabledLabel.className = 'inline-label';
+            const enabledCheckbox = document.createElement('input');
+            enabledCheckbox.type = 'checkbox';
+            enabledCheckbox.checked = policy.enabled !== false;
+            enabledCheckbox.addEventListener('change', () => {
+                policy.enabled = enabledCheckbox.checked;
+                displayStatus('Policy updated locally. Save all settings to apply.', false);
+            });
+            enabledLabel.append(enabledCheckbox, ' Enabled');
+
+            item.append(description, previewSpan, enabledLabel,
+                createButton('Preview', 'secondary', () => previewRetentionPolicy(policy, previewSpan)),
+                createButton('Remove', 'danger', () => {
+                    currentSettings.retentionPolicies.splice(index, 1);
+                    renderRetentionPolicies();
+                    displayStatus('Policy removed locally. Save all settings to apply.', false);
+                }));
+            retentionPoliciesListDiv.appendChild(item);
+        });
+    }
+
+    async function previewRetentionPolicy(policy, resultSpan) {
+        resultSpan.textContent = 'Counting...';
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "previewRetentionPolicy", policy });
+            if (response && response.success) {
+                resultSpan.textContent = `${response.count}${response.hasMore ? '+' : ''} messages now`;
+            } else {
+                resultSpan.textContent = '';
+                displayStatus(`Error previewing policy: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            resultSpan.textContent = '';
+            displayStatus(`Exception previewing policy: ${e.message}`, true);
+        }
+    }
+
+    addRetentionPolicyBtn.addEventListener('click', () => {
+        const labelId = retentionLabelSelect.value;
+        const olderThanDays = parseInt(retentionDaysInput.value);
+        if (!labelId) {
+            displayStatus('Choose a label for the policy.', true);
+            return;
+        }
+        if (!(olderThanDays >= 1)) {
+            displayStatus('Policies apply after at least 1 day.', true);
+            return;
+        }
+        currentSettings.retentionPolicies = [...(currentSettings.retentionPolicies || []), {
+            id: `retention_${Date.now().toString(36)}`,
+            labelId,
+            labelName: currentGmailLabels[labelId],
+            olderThanDays,
+            action: retentionActionSelect.value,
+            enabled: true
+        }];
+        renderRetentionPolicies();
+        displayStatus('Policy added locally. Save all settings to apply.', false);
+    });
+
+    runRetentionBtn.addEventListener('click', async () => {
+        runRetentionBtn.disabled = true;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "runRetentionPolicies" });
+            if (response && response.success) {
+                displayStatus(response.message, false);
+                loadActivityLog();
+            } else {
+                displayStatus(`Error running retention policies: ${response?.message || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception running retention policies: ${e.message}`, true);
+        } finally {
+            runRetentionBtn.disabled = false;
+        }
+    });
 
     saveSettingsBtn.addEventListener('click', async () => {
+        for (const [index, rule] of (currentSettings.rules || []).entries()) {
+            const ruleError = validateCondition(rule.condition) || validateActions(rule.actions);
+            if (ruleError) {
+                displayStatus(`Rule #${index + 1} is invalid: ${ruleError}`, true);
+                return;
+            }
+        }
+
+        const spamThresholds = {
+            suspicious: Math.max(parseFloat(spamThresholdSuspiciousInput.value) || 0, 0),
+            spam: Math.max(parseFloat(spamThresholdSpamInput.value) || 0, 0)
+        };
+        if (spamThresholds.suspicious <= 0 || spamThresholds.suspicious > spamThresholds.spam) {
+            displayStatus('Spam thresholds must be above 0, with the spam threshold at least the suspicious one.', true);
+            return;
+        }
+
         const settingsToSave = {
             rules: currentSettings.rules,
+            retentionPolicies: currentSettings.retentionPolicies || [],
             spamKeywords: spamKeywordsTextarea.value.split('\n').map(k => k.trim()).filter(k => k),
             spamSenderDomains: spamSenderDomainsTextarea.value.split('\n').map(k => k.trim()).filter(k => k),
+            trustedSenders: trustedSendersTextarea.value.split('\n').map(k => k.trim().toLowerCase()).filter(k => k),
+            trustedDomains: trustedDomainsTextarea.value.split('\n').map(k => k.trim().toLowerCase().replace(/^@/, '')).filter(k => k),
+            autoTrustRepliedSenders: autoTrustRepliedSendersCheckbox.checked,
+            spamKeywordWeights: parseKeywordWeights(spamKeywordWeightsTextarea.value),
+            spamSignals: {
+                authFailure: signalAuthFailureCheckbox.checked,
+                displayNameSpoofing: signalDisplayNameSpoofingCheckbox.checked,
+                replyToMismatch: signalReplyToMismatchCheckbox.checked
+            },
+            protectedBrands: parseProtectedBrands(protectedBrandsTextarea.value),
+            enablePhishingDetection: enablePhishingDetectionCheckbox.checked,
+            phishingDomains: phishingDomainsTextarea.value.split('\n').map(k => k.trim().toLowerCase()).filter(k => k),
+            spamWeights: readSpamWeights(),
+            spamThresholds,
             enableSpamDetection: enableSpamDetectionCheckbox.checked,
             processingInterval: parseInt(processingIntervalInput.value) || 5,
+            quotaUnitsPerSecond: Math.min(Math.max(parseInt(quotaUnitsPerSecondInput.value) || 200, 10), 250),
             autoCreateLabels: autoCreateLabelsCheckbox.checked,
-            enablePatternDetection: enablePatternDetectionCheckbox.checked
+            enablePatternDetection: enablePatternDetectionCheckbox.checked,
+            dryRun: dryRunCheckbox.checked
         };
 
         try {
@@ -206,6 +1692,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (response && response.success) {
                 displayStatus('Settings saved successfully!', false);
                 currentSettings = {...currentSettings, ...settingsToSave}; // Update local copy
+                renderSettingsWarning(response.settingsStatus);
             } else {
                 displayStatus(`Error saving settings: ${response?.error || 'Unknown error'}`, true);
             }
@@ -234,16 +1721,126 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    exportSettingsBtn.addEventListener('click', async () => {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "exportSettings" });
+            if (!response || !response.success) {
+                displayStatus('Error exporting settings.', true);
+                return;
+            }
+            const blob = new Blob([JSON.stringify(response.document, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `inbox-detox-settings-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (e) {
+            displayStatus(`Exception exporting settings: ${e.message}`, true);
+        }
+    });
+
+    async function readImportDocument() {
+        const file = importSettingsFileInput.files[0];
+        if (!file) throw new Error('Choose a settings file first.');
+        try {
+            return JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error(`The file is not valid JSON: ${e.message}`);
+        }
+    }
+
+    function appendList(parent, items, className = '') {
+        const list = document.createElement('ul');
+        list.className = className;
+        items.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        parent.appendChild(list);
+    }
+
+    function renderImportPreview(preview, importDocument, mode) {
+        importPreviewDiv.innerHTML = '';
+        if (preview.errors.length) {
+            appendList(importPreviewDiv, preview.errors, 'import-errors');
+            return;
+        }
+        if (preview.warnings.length) appendList(importPreviewDiv, preview.warnings);
+        if (preview.diff.length === 0) {
+            importPreviewDiv.insertAdjacentHTML('beforeend', '<p>The import would not change anything.</p>');
+            return;
+        }
+        preview.diff.forEach(({ key, changes }) => {
+            const heading = document.createElement('strong');
+            heading.textContent = key;
+            importPreviewDiv.appendChild(heading);
+            appendList(importPreviewDiv, changes);
+        });
+
+        const applyBtn = document.createElement('button');
+        applyBtn.textContent = mode === 'replace' ? 'Replace Settings' : 'Merge Settings';
+        applyBtn.className = mode === 'replace' ? 'danger' : '';
+        applyBtn.addEventListener('click', () => applyImport(importDocument, mode));
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.className = 'secondary';
+        cancelBtn.addEventListener('click', () => { importPreviewDiv.innerHTML = ''; });
+        importPreviewDiv.append(applyBtn, cancelBtn);
+    }
+
+    previewImportBtn.addEventListener('click', async () => {
+        try {
+            const importDocument = await readImportDocument();
+            const mode = importModeSelect.value;
+            const response = await chrome.runtime.sendMessage({ action: "previewSettingsImport", document: importDocument, mode });
+            if (response && response.success) {
+                renderImportPreview(response, importDocument, mode);
+            } else {
+                displayStatus('Error previewing import.', true);
+            }
+        } catch (e) {
+            displayStatus(e.message, true);
+        }
+    });
+
+    async function applyImport(importDocument, mode) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "importSettings", document: importDocument, mode });
+            if (response && response.success) {
+                importPreviewDiv.innerHTML = '';
+                importSettingsFileInput.value = '';
+                displayStatus('Settings imported successfully!', false);
+                loadSettingsAndLabels();
+            } else {
+                displayStatus(`Error importing settings: ${(response?.errors || []).join(' ') || 'Unknown error'}`, true);
+            }
+        } catch (e) {
+            displayStatus(`Exception importing settings: ${e.message}`, true);
+        }
+    }
+
     // Listener for messages from background (e.g., to refresh suggestions)
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (request.action === "refreshSuggestions") {
             loadSuggestedLabels();
         }
+        if (request.action === "backfillProgress") {
+            loadBackfillJobs();
+        }
+        if (request.action === "refreshFalsePositives") {
+            loadFalsePositives();
+        }
         if (request.action === "updateLastProcessed") {
              lastProcessedP.textContent = `Last processed: ${request.timestamp ? new Date(request.timestamp).toLocaleString() : 'N/A'}`;
         }
     });
 
     // Initial load
+    renderConditionBuilder();
+    renderActionBuilder();
     loadSettingsAndLabels();
+    loadBackfillJobs();
+    loadActivityLog();
+    loadNewsletters();
 });
\ No newline at end of file